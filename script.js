@@ -19,8 +19,15 @@
         // Data source configuration
         data: {
             csvUrl: 'agtech-ecosystem-data.csv',
-            delimiter: ';',
-            encoding: 'UTF-8'
+            // 'auto' (by file extension/content) or a registered loader: 'csv', 'json', 'geojson'
+            format: 'auto',
+            // CSV delimiter; 'auto' detects ';', ',' or tab from the header line
+            delimiter: 'auto',
+            encoding: 'UTF-8',
+            // Source field name → internal field name, e.g. { name: 'OrganizationName' }
+            fieldMap: {},
+            // Bundled state borders (offline, no external service)
+            statesGeoJsonUrl: 'bundeslaender.geojson'
         },
 
         // Map configuration
@@ -28,11 +35,66 @@
             center: [51.1657, 10.4515],
             zoom: {
                 default: 6,
-                mobile: 5
+                mobile: 5,
+                focus: 13,
+                // From this zoom on, clicking a location with several organizations fans them out
+                spiderfy: 14
             },
-            tileLayer: {
-                url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-                attribution: '© OpenStreetMap contributors'
+            // Initial marker coloring, a key of COLOR_MODES
+            colorBy: 'type',
+            // Initial base layer, a key of baseLayers
+            baseLayer: 'standard',
+            // Base layers of the layer switcher; set an entry to null to remove it.
+            // `label` is a text or one text per language, e.g. { de: 'Hell', en: 'Light' }.
+            // `url` may also be a local tile folder, e.g. 'tiles/{z}/{x}/{y}.png'
+            baseLayers: {
+                standard: {
+                    label: { de: 'Standard', en: 'Standard' },
+                    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                    attribution: '© OpenStreetMap contributors',
+                    // Folders exported from MBTiles (e.g. with mb-util) number rows from the south
+                    tms: false,
+                    // Highest zoom level with tiles, higher levels scale these up
+                    maxNativeZoom: 18,
+                    // Used after repeated tile errors (see tileErrorThreshold)
+                    fallbackUrl: 'https://{s}.tile.openstreetmap.fr/osmfr/{z}/{x}/{y}.png',
+                    fallbackAttribution: '© OpenStreetMap France'
+                },
+                light: {
+                    label: { de: 'Hell', en: 'Light' },
+                    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+                    attribution: '© OpenStreetMap contributors © CARTO',
+                    subdomains: 'abcd'
+                },
+                dark: {
+                    label: { de: 'Dunkel', en: 'Dark' },
+                    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+                    attribution: '© OpenStreetMap contributors © CARTO',
+                    subdomains: 'abcd'
+                },
+                satellite: {
+                    label: { de: 'Satellit', en: 'Satellite' },
+                    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+                    attribution: 'Bilder © Esri, Maxar, Earthstar Geographics'
+                },
+                grayscale: {
+                    label: { de: 'Graustufen', en: 'Grayscale' },
+                    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                    attribution: '© OpenStreetMap contributors',
+                    className: 'agtech-tiles-grayscale',
+                    fallbackUrl: 'https://{s}.tile.openstreetmap.fr/osmfr/{z}/{x}/{y}.png',
+                    fallbackAttribution: '© OpenStreetMap France'
+                }
+            },
+            // Consecutive tile errors before a base layer switches to its fallback tiles
+            tileErrorThreshold: 5,
+            // Toggleable overlays: GeoJSON lines (`geojsonUrl`) or tiles (`url`)
+            overlays: {
+                states: {
+                    label: { de: 'Bundesländergrenzen', en: 'State borders' },
+                    geojsonUrl: 'bundeslaender.geojson',
+                    visible: false
+                }
             }
         },
 
@@ -47,8 +109,60 @@
         // Performance settings
         performance: {
             debounceDelay: 300,
-            maxTableRows: 1000,
-            virtualScrollThreshold: 500
+            // Tables with more rows only render the visible window
+            virtualScrollThreshold: 200,
+            // Row height in virtual scroll mode (measured from the rendered rows when possible)
+            tableRowHeight: 54,
+            // Extra rows rendered above and below the visible window
+            virtualScrollOverscan: 10
+        },
+
+        // Founding-year timeline animation
+        timeline: {
+            stepDelay: 800
+        },
+
+        // Radius search around a place or a point picked on the map (radii in km)
+        proximity: {
+            radius: 25,
+            minRadius: 5,
+            maxRadius: 200
+        },
+
+        // Density view (kernel density heatmap instead of clusters)
+        density: {
+            radius: 30,     // Kernel bandwidth in pixels
+            cellSize: 4,    // Resolution of the density grid in pixels
+            opacity: 0.75
+        },
+
+        // Offline use: service worker caching app shell, data and visited tiles (see sw.js).
+        // Opt-in, as a worker controls every request of the host page: the standalone app enables
+        // it through `data-service-worker` in index.html. Only registered on HTTPS or localhost.
+        offline: {
+            serviceWorkerUrl: null
+        },
+
+        // Widget options
+        ui: {
+            showHeader: true,
+            // Initial UI language, a key of MESSAGES ('de', 'en'); 'auto' follows the browser
+            language: 'de'
+        },
+
+        // Data validation report for the data maintainers (also enabled by ?validate=1)
+        validation: {
+            enabled: false,
+            // Bounding box of Germany: [[south, west], [north, east]]
+            bounds: [[47.27, 5.87], [55.06, 15.04]],
+            // Coarse state borders: points this close to a state count as inside it
+            stateToleranceKm: 15
+        },
+
+        // Sync filters, selection and map view with the URL hash.
+        // Disable for all but one instance when embedding several maps on one page.
+        urlState: {
+            enabled: true
         }
     };
 
@@ -75,34 +189,1208 @@
             'Marktplätze und Handel': '#457B9D',
             'Innovative Food Technologien': '#8C1C13',
             'Supply Chain Technologien': '#344E41'
+        },
+        // Generated colors for coloring modes without a fixed scheme
+        palette: ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'],
+        sequential: ['#C7E9C0', '#00441B'],
+        unknown: '#999'
+    };
+
+    /**
+     * Columns of the data table, headed by the message `column.<key>`. `sortValue(org, app)` returns
+     * the value used for sorting, numbers sort numerically, strings locale-aware; empty values always sort last.
+     */
+    const TABLE_COLUMNS = [
+        { key: 'name', visible: true, sortValue: org => org.OrganizationName },
+        { key: 'type', visible: true, sortValue: org => org.OrganizationType },
+        { key: 'category', visible: true, sortValue: org => org.FinalCategories },
+        { key: 'headquarter', visible: true, sortValue: org => org.Headquarter },
+        { key: 'bundesland', visible: false, sortValue: org => org.Bundesland },
+        { key: 'foundingYear', visible: false, sortValue: org => org.foundingYear },
+        { key: 'source', visible: false, sortValue: org => org.Source },
+        { key: 'aiUseScore', visible: true, sortValue: org => org.aiUseScore },
+        { key: 'distance', visible: false, sortValue: (org, app) => app.getProximityDistance(org) },
+        {
+            key: 'website',
+            visible: true,
+            sortValue: org => (org.WebsiteUrl || '').replace(/^[a-z]+:\/\/(www\.)?/i, '')
+        }
+    ];
+
+    /**
+     * Marker coloring modes ("Färben nach"), named by the messages `colorMode.<key>` and
+     * `colorMode.<key>.title`. `value` returns the legend group of an organization (null for unknown),
+     * `groupLabel(group, app)` its displayed name (default: the group itself).
+     * Modes with `colors` use that fixed scheme (`fallback` for values outside
+     * of it), the others get colors from COLOR_SCHEMES.palette or, if `sequential`, a color ramp.
+     * `order` sorts generated groups: 'count' (most frequent first) or 'value'.
+     */
+    const COLOR_MODES = {
+        type: {
+            value: org => org.OrganizationType || 'Startup',
+            groupLabel: (group, app) => app.translateType(group),
+            colors: COLOR_SCHEMES.types,
+            fallback: COLOR_SCHEMES.types['Startup']
+        },
+        category: {
+            value: org => org.FinalCategories || null,
+            groupLabel: (group, app) => app.translateCategory(group),
+            colors: COLOR_SCHEMES.categories,
+            fallback: COLOR_SCHEMES.unknown
+        },
+        aiUseScore: {
+            value: org => {
+                if (org.aiUseScore === null || org.aiUseScore === undefined) return null;
+                if (org.aiUseScore >= 0.75) return 'veryHigh';
+                if (org.aiUseScore >= 0.5) return 'high';
+                if (org.aiUseScore >= 0.25) return 'medium';
+                return 'low';
+            },
+            groupLabel: (group, app) => app.t(`aiScoreGroup.${group}`),
+            colors: {
+                veryHigh: '#00441B',
+                high: '#238B45',
+                medium: '#74C476',
+                low: '#C7E9C0'
+            },
+            fallback: COLOR_SCHEMES.unknown
+        },
+        source: {
+            value: org => org.Source || null,
+            order: 'count'
+        },
+        decade: {
+            value: org => org.foundingYear ? String(Math.floor(org.foundingYear / 10) * 10) : null,
+            groupLabel: (group, app) => app.t('colorMode.decade.group', { decade: group }),
+            order: 'value',
+            sequential: true
+        }
+    };
+
+    /**
+     * Deep-merge configuration overrides into a copy of the defaults.
+     * Plain objects are merged recursively, everything else (arrays, functions, values) replaces.
+     * @param {Object} defaults - Default configuration
+     * @param {Object} overrides - Partial configuration
+     * @returns {Object} New configuration object
+     */
+    function mergeConfig(defaults, overrides = {}) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const result = {};
+
+        Object.keys(defaults).forEach(key => {
+            result[key] = isPlainObject(defaults[key]) ? mergeConfig(defaults[key]) : defaults[key];
+        });
+
+        Object.entries(overrides).forEach(([key, value]) => {
+            result[key] = isPlainObject(value) && isPlainObject(result[key]) ?
+                mergeConfig(result[key], value) :
+                value;
+        });
+
+        return result;
+    }
+
+    // Number of created app instances, used for unique element IDs
+    let instanceCount = 0;
+
+    /**
+     * Styling of the Bundesland choropleth layer
+     */
+    const STATE_LAYER_STYLE = {
+        color: '#2c7a7b',
+        emptyColor: '#adb5bd',
+        minOpacity: 0.1,
+        maxOpacity: 0.7
+    };
+
+    /**
+     * Outline of Germany shown instead of missing map tiles (offline)
+     */
+    const OUTLINE_LAYER_STYLE = {
+        color: '#8a9a8f',
+        weight: 1,
+        fillColor: '#f4f2ec',
+        fillOpacity: 1
+    };
+
+    /**
+     * GeoJSON overlays of the layer switcher (lines only, markers stay clickable)
+     */
+    const OVERLAY_LAYER_STYLE = {
+        color: '#2c3e50',
+        weight: 1.5,
+        opacity: 0.8,
+        fill: false
+    };
+
+    /**
+     * Radius search: circle around the search center
+     */
+    const PROXIMITY_LAYER_STYLE = {
+        color: '#00a855',
+        weight: 2,
+        dashArray: '6 4',
+        fillColor: '#00a855',
+        fillOpacity: 0.08
+    };
+
+    /**
+     * Region selection: shape while drawing or selected, and as an active filter
+     */
+    const REGION_LAYER_STYLE = {
+        selection: { color: '#2c3e50', weight: 2, dashArray: '6 4', fillColor: '#2c3e50', fillOpacity: 0.08 },
+        filter: { color: '#2c3e50', weight: 2, fillOpacity: 0 }
+    };
+
+    /**
+     * Density view: color ramp from low to high density and its weightings
+     */
+    const DENSITY_LAYER_STYLE = {
+        gradient: ['#00CD6C', '#FFC61E', '#F28522', '#FF1F5B'],
+        // Densities below this share of the maximum fade out to transparent
+        fadeBelow: 0.3
+    };
+
+    // Named by the messages `density.<key>`
+    const DENSITY_WEIGHTS = {
+        count: { weight: () => 1 },
+        aiUseScore: { weight: org => org.aiUseScore || 0 }
+    };
+
+    /**
+     * Create a filter state without any restrictions
+     * @returns {Object} Filter state shared by app, filter UI and URL state
+     */
+    function createDefaultFilters() {
+        return {
+            // Selected organization types; null = all types, an empty Set = none
+            types: null,
+            categories: new Set(),
+            states: new Set(),
+            sources: new Set(),
+            search: '',
+            years: null,
+            includeUnknownYears: true,
+            aiScore: null,
+            aiMention: false,
+            // Radius search: { lat, lng, radius (km), label }, null = off
+            proximity: null,
+            // Region drawn on the map: ring of [lng, lat] positions (GeoJSON order), null = off
+            region: null
+        };
+    }
+
+    /**
+     * UI texts per language. Keys are grouped by area ("filter.search"), values are texts with
+     * {placeholders} or functions of the parameters where the wording depends on a number.
+     * `types` and `categories` translate the German names used in the data (see COLOR_SCHEMES).
+     * Missing keys fall back to German, so a new language can start with a partial catalog.
+     */
+    const MESSAGES = {
+        de: {
+            locale: 'de-DE',
+            languageName: 'Deutsch',
+            'language.switch': 'Sprache',
+
+            'app.title': 'AgTech Ökosystem Deutschland',
+            'app.subtitle': 'Interaktive Karte mit Startups, Investoren und Forschungsinstituten',
+            'app.loading': 'Lade Daten...',
+
+            'common.organizations': ({ count }) => `${count} ${String(count) === '1' ? 'Akteur' : 'Akteure'}`,
+            'common.organizationsOf': '{count} von {total} Akteuren',
+            'common.unknown': 'unbekannt',
+            'common.visitWebsite': 'Website besuchen',
+            'common.resetFilters': 'Alle Filter zurücksetzen',
+
+            'error.title': 'Fehler beim Laden der Anwendung',
+            'error.reload': 'Seite neu laden',
+            'error.loadData': 'Fehler beim Laden der Daten ({url}): {message}',
+            'error.parseData': 'Fehler beim Lesen der Daten ({url}): {message}',
+
+            'map.section': 'Interaktive Karte',
+            'map.label': 'AgTech Ökosystem Karte',
+            'map.hint': 'Marker für Details anklicken',
+            'map.zoomIn': 'Hineinzoomen',
+            'map.zoomOut': 'Herauszoomen',
+            'map.outlineAttribution': 'Grenzen: Natural Earth',
+            'map.clusterCount': '{count} Organisationen',
+            'map.clusterLabel': '{count} Organisationen in diesem Bereich',
+            'map.showStates': 'Bundesländer einfärben',
+            'map.hideStates': 'Bundesländer ausblenden',
+            'map.showDensity': 'Dichte anzeigen',
+            'map.showClusters': 'Cluster anzeigen',
+            'map.densityWeight': 'Gewichtung der Dichte',
+            'map.weightedBy': 'Gewichtet nach {weight}',
+            'map.filterData': 'Datensatz filtern',
+            'map.toTable': 'Zur Datentabelle navigieren',
+
+            'location.various': 'verschiedenen Standorten',
+            'location.surroundings': '{place} und Umgebung',
+            'location.here': 'diesem Standort',
+            'location.region': 'der ausgewählten Region',
+
+            'legend.label': 'Kartenlegende',
+            'legend.colorBy': 'Färben nach',
+            'legend.density': 'Dichte (gewichtet nach {weight})',
+            'legend.low': 'gering',
+            'legend.high': 'hoch',
+
+            'colorMode.type': 'Typ',
+            'colorMode.type.title': 'Akteur-Typen',
+            'colorMode.category': 'Kategorie',
+            'colorMode.category.title': 'Kategorien',
+            'colorMode.aiUseScore': 'KI-Score',
+            'colorMode.aiUseScore.title': 'KI-Nutzung (AiUseScore)',
+            'colorMode.source': 'Quelle',
+            'colorMode.source.title': 'Datenquellen',
+            'colorMode.decade': 'Gründungsjahrzehnt',
+            'colorMode.decade.title': 'Gründungsjahrzehnte',
+            'colorMode.decade.group': '{decade}er',
+
+            'aiScoreGroup.veryHigh': 'sehr hoch (ab 0,75)',
+            'aiScoreGroup.high': 'hoch (0,5 – 0,74)',
+            'aiScoreGroup.medium': 'mittel (0,25 – 0,49)',
+            'aiScoreGroup.low': 'gering (unter 0,25)',
+
+            'density.count': 'Anzahl',
+            'density.aiUseScore': 'KI-Score',
+
+            'region.rectangle': '▭ Rechteck',
+            'region.rectangle.title': 'Rechteck aufziehen, um Akteure auszuwählen',
+            'region.polygon': '✎ Fläche',
+            'region.polygon.title': 'Fläche mit gedrückter Maustaste umfahren, um Akteure auszuwählen',
+            'region.apply': 'Als Filter',
+            'region.apply.title': 'Ausgewählte Region als Filter übernehmen',
+            'region.clear': 'Region entfernen',
+            'region.clear.title': 'Ausgewählte Region entfernen',
+
+            'proximity.title': '{radius} km Umkreis um {place}',
+            'proximity.markedPoint': 'den markierten Punkt',
+            'proximity.count': ({ count, area }) => `${count} ${count === 1 ? 'Akteur' : 'Akteure'} im ${area}`,
+
+            'detail.label': 'Organisationsdetails',
+            'detail.organizations': 'Akteure',
+            'detail.close': 'Details schließen',
+            'detail.in': 'Akteure in',
+            'detail.title': 'Akteure in {location}',
+            'detail.showProfile': 'Profil anzeigen',
+            'detail.showLess': 'Weniger anzeigen',
+            'detail.aiProfile': 'KI-generiertes Profil',
+            'detail.verifiedTitle': 'Durch Quellen bestätigte Angaben',
+            'detail.verified': ({ count }) => `${count} verifizierte ${count === 1 ? 'Angabe' : 'Angaben'}`,
+            'detail.sourceDescription': 'Beschreibung der Quelle',
+            'detail.distance': '{distance} km entfernt',
+
+            'markdown.verified': 'Durch Quelle bestätigt',
+            'markdown.new': 'neu',
+
+            'ai.score': 'KI-Score',
+            'ai.scoreTitle': 'KI-Nutzung (AiUseScore)',
+            'ai.scoreMentionTitle': 'KI-Nutzung (AiUseScore), erwähnt KI',
+            'ai.short': 'KI',
+            'ai.mentions': 'erwähnt KI',
+            'ai.noMention': 'ohne KI-Bezug',
+            'ai.notAssessed': 'nicht bewertet',
+
+            'filter.title': 'Filter',
+            'filter.show': 'Filter anzeigen',
+            'filter.hide': 'Filter ausblenden',
+            'filter.search': 'Suche',
+            'filter.searchPlaceholder': 'Name, Ort oder Stichwort, z. B. Drohne',
+            'filter.type': 'Akteur-Typ',
+            'filter.all': 'Alle',
+            'filter.none': 'Keine',
+            'filter.only': 'nur',
+            'filter.onlyLabel': 'Nur {type} anzeigen',
+            'filter.category': 'Kategorie',
+            'filter.state': 'Bundesland',
+            'filter.proximity': 'Umkreis',
+            'filter.proximityPlaceholder': 'Ort, z. B. Osnabrück',
+            'filter.proximityPlace': 'Ort für die Umkreissuche',
+            'filter.proximitySearch': 'Suchen',
+            'filter.proximityRadius': 'Radius in Kilometern',
+            'filter.proximityHint': 'Oder Rechtsklick bzw. langes Tippen auf die Karte',
+            'filter.proximityClear': 'Umkreis entfernen',
+            'filter.proximityOff': 'aus ({radius} km)',
+            'filter.proximityUnknownPlace': '„{place}“ kommt als Hauptsitz im Datensatz nicht vor',
+            'filter.source': 'Quelle',
+            'filter.aiScore': 'KI-Score',
+            'filter.aiScoreFrom': 'KI-Score von',
+            'filter.aiScoreTo': 'KI-Score bis',
+            'filter.allScores': 'alle',
+            'filter.aiMention': 'Nur Akteure, die KI erwähnen',
+            'filter.foundingYear': 'Gründungsjahr',
+            'filter.foundingYearFrom': 'Gründungsjahr von',
+            'filter.foundingYearTo': 'Gründungsjahr bis',
+            'filter.unknownYears': 'Ohne bekanntes Gründungsjahr einbeziehen',
+            'filter.playGrowth': '▶ Wachstum abspielen',
+            'filter.stopAnimation': '■ Animation stoppen',
+            'filter.backToMap': 'Zurück zur Karte',
+
+            'table.section': 'Datentabelle und Filter',
+            'table.label': 'AgTech Organisationen',
+            'table.viewportOnly': 'Nur sichtbarer Kartenausschnitt',
+            'table.inViewport': '{text} im Kartenausschnitt',
+            'table.columns': 'Spalten',
+            'table.empty': 'Keine Akteure entsprechen den aktuellen Filtern.',
+            'table.emptyViewport': 'Im sichtbaren Kartenausschnitt liegen keine passenden Akteure.',
+            'table.wholeMap': 'Ganze Karte berücksichtigen',
+            'table.notAvailable': 'N/A',
+
+            'column.name': 'Name',
+            'column.type': 'Typ',
+            'column.category': 'Kategorie',
+            'column.headquarter': 'Hauptsitz',
+            'column.bundesland': 'Bundesland',
+            'column.foundingYear': 'Gründungsjahr',
+            'column.source': 'Quelle',
+            'column.aiUseScore': 'KI-Score',
+            'column.distance': 'Entfernung',
+            'column.website': 'Website',
+
+            'export.title': 'Exportieren',
+            'export.delimiter': 'Trennzeichen',
+            'export.semicolon': 'Semikolon (;)',
+            'export.comma': 'Komma (,)',
+            'export.tab': 'Tabulator',
+            'export.bom': 'UTF-8-BOM (Umlaute in Excel)',
+            'export.excel': 'CSV für Excel',
+            'export.date': 'Export vom {date}',
+            'export.entries': 'Einträge: {count} von {total}',
+            'export.view': 'Ansicht',
+
+            'describe.noType': 'keiner',
+            'describe.noUnknownYears': 'ohne unbekanntes Gründungsjahr',
+            'describe.aiMention': 'nur mit KI-Erwähnung',
+            'describe.region': 'Region: auf der Karte gezeichnet',
+            'describe.viewport': 'nur sichtbarer Kartenausschnitt',
+            'describe.none': 'keine (alle Einträge)',
+
+            'dashboard.label': 'Statistik zur Auswahl',
+            'dashboard.title': 'Statistik',
+            'dashboard.hint': 'Balken oder Punkte anklicken, um danach zu filtern',
+            'dashboard.empty': 'Keine Akteure in der aktuellen Auswahl.',
+            'dashboard.noData': 'Keine Angaben',
+            'dashboard.states': 'Bundesländer',
+            'dashboard.foundingYears': 'Gründungsjahre',
+            'dashboard.aiMention': 'Erwähnung von KI',
+            'dashboard.aiScore': 'Verteilung KI-Score',
+            'dashboard.aiMentionLabel': '{count} von {total} Akteuren erwähnen KI',
+            'dashboard.unknownYears': '{count} ohne bekanntes Gründungsjahr',
+            'dashboard.unscored': '{count} ohne KI-Score',
+
+            'check.parse': 'Formatfehler',
+            'check.missing-name': 'Name fehlt',
+            'check.missing-coordinates': 'Koordinaten fehlen',
+            'check.invalid-coordinates': 'Koordinaten ungültig',
+            'check.outside-germany': 'Außerhalb Deutschlands',
+            'check.state-mismatch': 'Bundesland passt nicht zu Koordinaten',
+            'check.unknown-type': 'Unbekannter Typ',
+            'check.unknown-category': 'Unbekannte Kategorie',
+            'check.duplicate-name': 'Doppelter Name',
+            'check.duplicate-url': 'Doppelte URL',
+            'check.malformed-url': 'Ungültige URL',
+            'check.unknown-year': 'Gründungsjahr nicht lesbar',
+
+            'problem.missingName': 'Kein Name – Eintrag wird übersprungen',
+            'problem.missingCoordinates': 'Keine Koordinaten – nicht auf der Karte',
+            'problem.invalidCoordinates': 'Ungültige Koordinaten "{latitude}", "{longitude}" – nicht auf der Karte',
+            'problem.outsideGermany': 'Koordinaten {latitude}, {longitude} liegen außerhalb Deutschlands',
+            'problem.unknownType': 'Typ "{type}" ist nicht in COLOR_SCHEMES.types',
+            'problem.unknownCategory': 'Kategorie "{category}" ist nicht in COLOR_SCHEMES.categories',
+            'problem.malformedUrl': '{field}: "{url}" ist keine gültige http(s)-URL',
+            'problem.unknownYear': 'Gründungsjahr "{year}" nicht lesbar',
+            'problem.duplicateName': 'Name auch bei IdNr {ids}',
+            'problem.duplicateUrl': 'Website auch bei IdNr {ids}',
+            'problem.unknownState': 'Unbekanntes Bundesland "{state}"',
+            'problem.stateMismatch': 'Bundesland "{state}", Koordinaten liegen in {location}',
+            'problem.missingState': 'Bundesland fehlt, Koordinaten liegen in {location}',
+
+            'validation.row': 'Zeile {row}',
+            'validation.summary': 'Datenprüfung: {count} von {total} Einträgen mit Hinweisen',
+            'validation.problems': 'Probleme',
+            'validation.noProblems': 'Keine Probleme gefunden',
+            'validation.columnRenamed': 'Spalte „{column}“ wird als {field} gelesen',
+            'validation.columnIgnored': 'Spalte „{column}“ wird ignoriert',
+            'validation.stateCheckFailed': 'Bundesland-Prüfung nicht möglich: {message}',
+
+            'loader.unknownFormat': 'Unbekanntes Datenformat: {format}',
+            'loader.csvError': 'CSV: {message}',
+            'loader.jsonNoList': 'JSON: Erwartet wird ein Array von Organisationen',
+            'loader.jsonNoObject': 'JSON: Eintrag ist kein Objekt',
+            'loader.geojsonNoCollection': 'GeoJSON: Erwartet wird eine FeatureCollection',
+            'loader.geojsonGeometry': ({ geometry }) =>
+                `GeoJSON: Geometrie "${geometry || 'keine'}" wird nicht unterstützt, nur Point`
+        },
+        en: {
+            locale: 'en-GB',
+            languageName: 'English',
+            'language.switch': 'Language',
+
+            'app.title': 'AgTech Ecosystem Germany',
+            'app.subtitle': 'Interactive map of startups, investors and research institutes',
+            'app.loading': 'Loading data...',
+
+            'common.organizations': ({ count }) => `${count} ${String(count) === '1' ? 'organization' : 'organizations'}`,
+            'common.organizationsOf': '{count} of {total} organizations',
+            'common.unknown': 'unknown',
+            'common.visitWebsite': 'Visit website',
+            'common.resetFilters': 'Reset all filters',
+
+            'error.title': 'The application could not be loaded',
+            'error.reload': 'Reload page',
+            'error.loadData': 'Could not load the data ({url}): {message}',
+            'error.parseData': 'Could not read the data ({url}): {message}',
+
+            'map.section': 'Interactive map',
+            'map.label': 'AgTech ecosystem map',
+            'map.hint': 'Click a marker for details',
+            'map.zoomIn': 'Zoom in',
+            'map.zoomOut': 'Zoom out',
+            'map.outlineAttribution': 'Borders: Natural Earth',
+            'map.clusterCount': '{count} organizations',
+            'map.clusterLabel': '{count} organizations in this area',
+            'map.showStates': 'Color federal states',
+            'map.hideStates': 'Hide federal states',
+            'map.showDensity': 'Show density',
+            'map.showClusters': 'Show clusters',
+            'map.densityWeight': 'Density weighting',
+            'map.weightedBy': 'Weighted by {weight}',
+            'map.filterData': 'Filter data',
+            'map.toTable': 'Go to the data table',
+
+            'location.various': 'various locations',
+            'location.surroundings': '{place} and surroundings',
+            'location.here': 'this location',
+            'location.region': 'the selected region',
+
+            'legend.label': 'Map legend',
+            'legend.colorBy': 'Color by',
+            'legend.density': 'Density (weighted by {weight})',
+            'legend.low': 'low',
+            'legend.high': 'high',
+
+            'colorMode.type': 'Type',
+            'colorMode.type.title': 'Organization types',
+            'colorMode.category': 'Category',
+            'colorMode.category.title': 'Categories',
+            'colorMode.aiUseScore': 'AI score',
+            'colorMode.aiUseScore.title': 'AI use (AiUseScore)',
+            'colorMode.source': 'Source',
+            'colorMode.source.title': 'Data sources',
+            'colorMode.decade': 'Founding decade',
+            'colorMode.decade.title': 'Founding decades',
+            'colorMode.decade.group': '{decade}s',
+
+            'aiScoreGroup.veryHigh': 'very high (0.75 and above)',
+            'aiScoreGroup.high': 'high (0.5 – 0.74)',
+            'aiScoreGroup.medium': 'medium (0.25 – 0.49)',
+            'aiScoreGroup.low': 'low (below 0.25)',
+
+            'density.count': 'count',
+            'density.aiUseScore': 'AI score',
+
+            'region.rectangle': '▭ Rectangle',
+            'region.rectangle.title': 'Drag a rectangle to select organizations',
+            'region.polygon': '✎ Area',
+            'region.polygon.title': 'Draw around an area with the mouse button held to select organizations',
+            'region.apply': 'As filter',
+            'region.apply.title': 'Use the selected region as a filter',
+            'region.clear': 'Remove region',
+            'region.clear.title': 'Remove the selected region',
+
+            'proximity.title': 'a {radius} km radius around {place}',
+            'proximity.markedPoint': 'the marked point',
+            'proximity.count': ({ count, area }) => `${count} ${count === 1 ? 'organization' : 'organizations'} within ${area}`,
+
+            'detail.label': 'Organization details',
+            'detail.organizations': 'Organizations',
+            'detail.close': 'Close details',
+            'detail.in': 'Organizations in',
+            'detail.title': 'Organizations in {location}',
+            'detail.showProfile': 'Show profile',
+            'detail.showLess': 'Show less',
+            'detail.aiProfile': 'AI-generated profile',
+            'detail.verifiedTitle': 'Statements confirmed by sources',
+            'detail.verified': ({ count }) => `${count} verified ${count === 1 ? 'statement' : 'statements'}`,
+            'detail.sourceDescription': 'Description by the source',
+            'detail.distance': '{distance} km away',
+
+            'markdown.verified': 'Confirmed by a source',
+            'markdown.new': 'new',
+
+            'ai.score': 'AI score',
+            'ai.scoreTitle': 'AI use (AiUseScore)',
+            'ai.scoreMentionTitle': 'AI use (AiUseScore), mentions AI',
+            'ai.short': 'AI',
+            'ai.mentions': 'mentions AI',
+            'ai.noMention': 'no AI reference',
+            'ai.notAssessed': 'not assessed',
+
+            'filter.title': 'Filters',
+            'filter.show': 'Show filters',
+            'filter.hide': 'Hide filters',
+            'filter.search': 'Search',
+            'filter.searchPlaceholder': 'Name, place or keyword, e.g. drone',
+            'filter.type': 'Organization type',
+            'filter.all': 'All',
+            'filter.none': 'None',
+            'filter.only': 'only',
+            'filter.onlyLabel': 'Show only {type}',
+            'filter.category': 'Category',
+            'filter.state': 'Federal state',
+            'filter.proximity': 'Radius',
+            'filter.proximityPlaceholder': 'Place, e.g. Osnabrück',
+            'filter.proximityPlace': 'Place for the radius search',
+            'filter.proximitySearch': 'Search',
+            'filter.proximityRadius': 'Radius in kilometers',
+            'filter.proximityHint': 'Or right-click or long-press on the map',
+            'filter.proximityClear': 'Remove radius',
+            'filter.proximityOff': 'off ({radius} km)',
+            'filter.proximityUnknownPlace': '“{place}” is not a headquarters in the data',
+            'filter.source': 'Source',
+            'filter.aiScore': 'AI score',
+            'filter.aiScoreFrom': 'AI score from',
+            'filter.aiScoreTo': 'AI score to',
+            'filter.allScores': 'all',
+            'filter.aiMention': 'Only organizations mentioning AI',
+            'filter.foundingYear': 'Founding year',
+            'filter.foundingYearFrom': 'Founding year from',
+            'filter.foundingYearTo': 'Founding year to',
+            'filter.unknownYears': 'Include unknown founding years',
+            'filter.playGrowth': '▶ Play growth',
+            'filter.stopAnimation': '■ Stop animation',
+            'filter.backToMap': 'Back to the map',
+
+            'table.section': 'Data table and filters',
+            'table.label': 'AgTech organizations',
+            'table.viewportOnly': 'Visible map area only',
+            'table.inViewport': '{text} in the map area',
+            'table.columns': 'Columns',
+            'table.empty': 'No organizations match the current filters.',
+            'table.emptyViewport': 'No matching organizations in the visible map area.',
+            'table.wholeMap': 'Use the whole map',
+            'table.notAvailable': 'N/A',
+
+            'column.name': 'Name',
+            'column.type': 'Type',
+            'column.category': 'Category',
+            'column.headquarter': 'Headquarters',
+            'column.bundesland': 'Federal state',
+            'column.foundingYear': 'Founding year',
+            'column.source': 'Source',
+            'column.aiUseScore': 'AI score',
+            'column.distance': 'Distance',
+            'column.website': 'Website',
+
+            'export.title': 'Export',
+            'export.delimiter': 'Delimiter',
+            'export.semicolon': 'Semicolon (;)',
+            'export.comma': 'Comma (,)',
+            'export.tab': 'Tab',
+            'export.bom': 'UTF-8 BOM (umlauts in Excel)',
+            'export.excel': 'CSV for Excel',
+            'export.date': 'exported on {date}',
+            'export.entries': 'Entries: {count} of {total}',
+            'export.view': 'View',
+
+            'describe.noType': 'none',
+            'describe.noUnknownYears': 'without unknown founding years',
+            'describe.aiMention': 'mentioning AI only',
+            'describe.region': 'Region: drawn on the map',
+            'describe.viewport': 'visible map area only',
+            'describe.none': 'none (all entries)',
+
+            'dashboard.label': 'Statistics of the selection',
+            'dashboard.title': 'Statistics',
+            'dashboard.hint': 'Click bars or points to filter by them',
+            'dashboard.empty': 'No organizations in the current selection.',
+            'dashboard.noData': 'No data',
+            'dashboard.states': 'Federal states',
+            'dashboard.foundingYears': 'Founding years',
+            'dashboard.aiMention': 'Mentions of AI',
+            'dashboard.aiScore': 'AI score distribution',
+            'dashboard.aiMentionLabel': '{count} of {total} organizations mention AI',
+            'dashboard.unknownYears': '{count} without a known founding year',
+            'dashboard.unscored': '{count} without AI score',
+
+            'check.parse': 'Format error',
+            'check.missing-name': 'Name missing',
+            'check.missing-coordinates': 'Coordinates missing',
+            'check.invalid-coordinates': 'Invalid coordinates',
+            'check.outside-germany': 'Outside Germany',
+            'check.state-mismatch': 'Federal state does not match the coordinates',
+            'check.unknown-type': 'Unknown type',
+            'check.unknown-category': 'Unknown category',
+            'check.duplicate-name': 'Duplicate name',
+            'check.duplicate-url': 'Duplicate URL',
+            'check.malformed-url': 'Invalid URL',
+            'check.unknown-year': 'Unreadable founding year',
+
+            'problem.missingName': 'No name – entry is skipped',
+            'problem.missingCoordinates': 'No coordinates – not on the map',
+            'problem.invalidCoordinates': 'Invalid coordinates "{latitude}", "{longitude}" – not on the map',
+            'problem.outsideGermany': 'Coordinates {latitude}, {longitude} are outside Germany',
+            'problem.unknownType': 'Type "{type}" is not in COLOR_SCHEMES.types',
+            'problem.unknownCategory': 'Category "{category}" is not in COLOR_SCHEMES.categories',
+            'problem.malformedUrl': '{field}: "{url}" is not a valid http(s) URL',
+            'problem.unknownYear': 'Founding year "{year}" is not readable',
+            'problem.duplicateName': 'Name also used by IdNr {ids}',
+            'problem.duplicateUrl': 'Website also used by IdNr {ids}',
+            'problem.unknownState': 'Unknown federal state "{state}"',
+            'problem.stateMismatch': 'Federal state "{state}", coordinates are in {location}',
+            'problem.missingState': 'Federal state missing, coordinates are in {location}',
+
+            'validation.row': 'Row {row}',
+            'validation.summary': 'Data check: {count} of {total} entries with notes',
+            'validation.problems': 'Problems',
+            'validation.noProblems': 'No problems found',
+            'validation.columnRenamed': 'Column “{column}” is read as {field}',
+            'validation.columnIgnored': 'Column “{column}” is ignored',
+            'validation.stateCheckFailed': 'Federal state check not possible: {message}',
+
+            'loader.unknownFormat': 'Unknown data format: {format}',
+            'loader.csvError': 'CSV: {message}',
+            'loader.jsonNoList': 'JSON: an array of organizations is expected',
+            'loader.jsonNoObject': 'JSON: entry is not an object',
+            'loader.geojsonNoCollection': 'GeoJSON: a FeatureCollection is expected',
+            'loader.geojsonGeometry': ({ geometry }) =>
+                `GeoJSON: geometry "${geometry || 'none'}" is not supported, only Point`,
+
+            types: {
+                'Forschungsinstitut': 'Research institute',
+                'Netzwerk': 'Network',
+                'Förderprogramm': 'Funding program',
+                'Beratungsunternehmen': 'Consultancy'
+            },
+            categories: {
+                'Farm Management, Sensorik und IoT': 'Farm management, sensors and IoT',
+                'Roboter und Mechanisierung': 'Robotics and mechanization',
+                'Ag Biotechnologien und Biomaterialien': 'Ag biotechnology and biomaterials',
+                'Neue Produktionssysteme': 'Novel production systems',
+                'Marktplätze und Handel': 'Marketplaces and trade',
+                'Innovative Food Technologien': 'Innovative food technologies',
+                'Supply Chain Technologien': 'Supply chain technologies'
+            }
         }
     };
 
     /**
-     * Main application class that orchestrates all components
+     * Create the application markup. All element IDs are prefixed per instance
+     * so several maps can live on the same page.
+     * @param {string} p - Instance ID prefix (e.g. "agtech")
+     * @param {Object} config - Instance configuration
+     * @param {Function} t - Message lookup of the instance (see AgTechMapApp.t)
+     * @returns {string} HTML string
+     */
+    function createAppTemplate(p, config, t) {
+        return `
+            ${config.ui.showHeader ? `
+            <!-- Header Section -->
+            <header class="agtech-header">
+                <h1 class="agtech-title">${t('app.title')}</h1>
+                <p class="agtech-subtitle">${t('app.subtitle')}</p>
+            </header>
+            ` : ''}
+            <!-- Loading overlay -->
+            <div class="agtech-loading" id="${p}-loading" style="display: none;">
+                ${t('app.loading')}
+            </div>
+
+            <!-- Main Application -->
+            <main class="agtech-main">
+                <!-- Map and Detail View Container -->
+                <div class="agtech-container">
+                    <!-- Map Section -->
+                    <section class="agtech-map-section" aria-label="${t('map.section')}">
+                        <div class="agtech-map" id="${p}-map" role="application" aria-label="${t('map.label')}">
+                            <!-- Map controls will be added by JavaScript -->
+
+                            <!-- Info Tooltip -->
+                            <div class="agtech-info-tooltip" id="${p}-info-tooltip">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                    <path fill-rule="evenodd" clip-rule="evenodd" d="M12 22C7.28595 22 4.92893 22 3.46447 20.5355C2 19.0711 2 16.714 2 12C2 7.28595 2 4.92893 3.46447 3.46447C4.92893 2 7.28595 2 12 2C16.714 2 19.0711 2 20.5355 3.46447C22 4.92893 22 7.28595 22 12C22 16.714 22 19.0711 20.5355 20.5355C19.0711 22 16.714 22 12 22ZM12 17.75C12.4142 17.75 12.75 17.4142 12.75 17V11C12.75 10.5858 12.4142 10.25 12 10.25C11.5858 10.25 11.25 10.5858 11.25 11V17C11.25 17.4142 11.5858 17.75 12 17.75ZM12 7C12.5523 7 13 7.44772 13 8C13 8.55228 12.5523 9 12 9C11.4477 9 11 8.55228 11 8C11 7.44772 11.4477 7 12 7Z" fill="#666"/>
+                                </svg>
+                                ${t('map.hint')}
+                            </div>
+                        </div>
+                    </section>
+
+                    <!-- Detail Panel -->
+                    <aside class="agtech-detail-panel" id="${p}-detail-panel" aria-label="${t('detail.label')}">
+                        <div class="agtech-detail-header">
+                            <h2 class="agtech-detail-title" id="${p}-detail-title">
+                                <span class="agtech-org-counter" id="${p}-org-counter">0</span>
+                                <span>${t('detail.organizations')}</span>
+                            </h2>
+                            <button class="agtech-close-btn" id="${p}-close-detail" aria-label="${t('detail.close')}">&times;</button>
+                        </div>
+                        <div class="agtech-detail-content" id="${p}-detail-content">
+                            <!-- Organization cards will be populated by JavaScript -->
+                        </div>
+                    </aside>
+                </div>
+
+                <!-- Statistics Dashboard -->
+                <section class="agtech-dashboard-section" id="${p}-dashboard" aria-label="${t('dashboard.label')}">
+                    <div class="agtech-dashboard-header">
+                        <h2 class="agtech-dashboard-title">${t('dashboard.title')}</h2>
+                        <span class="agtech-dashboard-count" id="${p}-dashboard-count"></span>
+                        <p class="agtech-dashboard-hint">${t('dashboard.hint')}</p>
+                    </div>
+                    <div class="agtech-dashboard-grid" id="${p}-dashboard-grid">
+                        <!-- Charts will be populated by JavaScript -->
+                    </div>
+                </section>
+
+                <!-- Table Section -->
+                <section class="agtech-table-section" id="${p}-table-section" aria-label="${t('table.section')}">
+                    <div class="agtech-table-container">
+                        <!-- Filter Panel -->
+                        <aside class="agtech-filter-panel" aria-label="${t('filter.title')}">
+                            <div class="agtech-filter-header">
+                                <h3 class="agtech-filter-title">${t('filter.title')}</h3>
+                                <button class="agtech-filter-toggle" id="${p}-filter-toggle">${t('filter.hide')}</button>
+                            </div>
+                            <div class="agtech-filter-content" id="${p}-filter-content">
+                                <div class="agtech-filter-group">
+                                    <label class="agtech-filter-group-title" for="${p}-search-input">${t('filter.search')}</label>
+                                    <input type="search" class="agtech-search-input" id="${p}-search-input"
+                                        placeholder="${t('filter.searchPlaceholder')}"
+                                        autocomplete="off">
+                                </div>
+                                <div class="agtech-filter-group">
+                                    <div class="agtech-filter-group-header">
+                                        <h4 class="agtech-filter-group-title">${t('filter.type')}</h4>
+                                        <span class="agtech-filter-shortcuts" id="${p}-type-shortcuts">
+                                            <button type="button" data-select="all">${t('filter.all')}</button>
+                                            <button type="button" data-select="none">${t('filter.none')}</button>
+                                        </span>
+                                    </div>
+                                    <div class="agtech-filter-buttons" id="${p}-type-filters">
+                                        <!-- Type filter buttons will be populated by JavaScript -->
+                                    </div>
+                                </div>
+                                <div class="agtech-filter-group" id="${p}-category-filter-group">
+                                    <h4 class="agtech-filter-group-title">${t('filter.category')}</h4>
+                                    <div class="agtech-filter-buttons" id="${p}-category-filters">
+                                        <!-- Category filter buttons will be populated by JavaScript -->
+                                    </div>
+                                </div>
+                                <div class="agtech-filter-group">
+                                    <h4 class="agtech-filter-group-title">${t('filter.state')}</h4>
+                                    <div class="agtech-filter-buttons" id="${p}-state-filters">
+                                        <!-- Bundesland filter buttons will be populated by JavaScript -->
+                                    </div>
+                                </div>
+                                <div class="agtech-filter-group" id="${p}-proximity-filter-group">
+                                    <h4 class="agtech-filter-group-title">
+                                        ${t('filter.proximity')} <span class="agtech-year-label" id="${p}-proximity-label"></span>
+                                    </h4>
+                                    <form class="agtech-proximity-form" id="${p}-proximity-form">
+                                        <input type="search" class="agtech-search-input" id="${p}-proximity-place"
+                                            list="${p}-proximity-places" placeholder="${t('filter.proximityPlaceholder')}"
+                                            autocomplete="off" aria-label="${t('filter.proximityPlace')}">
+                                        <datalist id="${p}-proximity-places"></datalist>
+                                        <button type="submit" class="agtech-control-btn">${t('filter.proximitySearch')}</button>
+                                    </form>
+                                    <div class="agtech-year-slider">
+                                        <input type="range" id="${p}-proximity-radius" aria-label="${t('filter.proximityRadius')}">
+                                    </div>
+                                    <p class="agtech-proximity-status" id="${p}-proximity-status" role="status">
+                                        ${t('filter.proximityHint')}
+                                    </p>
+                                    <button type="button" class="agtech-control-btn" id="${p}-proximity-clear" hidden>
+                                        ${t('filter.proximityClear')}
+                                    </button>
+                                </div>
+                                <div class="agtech-filter-group">
+                                    <h4 class="agtech-filter-group-title">${t('filter.source')}</h4>
+                                    <div class="agtech-filter-buttons" id="${p}-source-filters">
+                                        <!-- Source filter buttons will be populated by JavaScript -->
+                                    </div>
+                                </div>
+                                <div class="agtech-filter-group" id="${p}-ai-filter-group">
+                                    <h4 class="agtech-filter-group-title">
+                                        ${t('filter.aiScore')} <span class="agtech-year-label" id="${p}-ai-label"></span>
+                                    </h4>
+                                    <div class="agtech-year-slider">
+                                        <input type="range" id="${p}-ai-min" min="0" max="1" step="0.1" value="0"
+                                            aria-label="${t('filter.aiScoreFrom')}">
+                                        <input type="range" id="${p}-ai-max" min="0" max="1" step="0.1" value="1"
+                                            aria-label="${t('filter.aiScoreTo')}">
+                                    </div>
+                                    <label class="agtech-checkbox">
+                                        <input type="checkbox" id="${p}-ai-mention">
+                                        ${t('filter.aiMention')} (<span id="${p}-ai-mention-count">0</span>)
+                                    </label>
+                                </div>
+                                <div class="agtech-filter-group" id="${p}-year-filter-group">
+                                    <h4 class="agtech-filter-group-title">
+                                        ${t('filter.foundingYear')} <span class="agtech-year-label" id="${p}-year-label"></span>
+                                    </h4>
+                                    <div class="agtech-year-slider">
+                                        <input type="range" id="${p}-year-min" aria-label="${t('filter.foundingYearFrom')}">
+                                        <input type="range" id="${p}-year-max" aria-label="${t('filter.foundingYearTo')}">
+                                    </div>
+                                    <label class="agtech-checkbox">
+                                        <input type="checkbox" id="${p}-year-unknown" checked>
+                                        ${t('filter.unknownYears')} (<span id="${p}-year-unknown-count">0</span>)
+                                    </label>
+                                    <button class="agtech-control-btn agtech-year-animate" id="${p}-year-animate"
+                                        type="button" aria-pressed="false">${t('filter.playGrowth')}</button>
+                                </div>
+                                <button class="agtech-control-btn" id="${p}-back-to-map">${t('filter.backToMap')}</button>
+                            </div>
+                        </aside>
+
+                        <!-- Table -->
+                        <div class="agtech-table-wrapper">
+                            <div class="agtech-table-toolbar">
+                                <span class="agtech-results-count" id="${p}-results-count" role="status"></span>
+                                <label class="agtech-checkbox agtech-viewport-toggle">
+                                    <input type="checkbox" id="${p}-viewport-only">
+                                    ${t('table.viewportOnly')}
+                                </label>
+                                <details class="agtech-dropdown" id="${p}-table-columns">
+                                    <summary class="agtech-control-btn">${t('table.columns')}</summary>
+                                    <div class="agtech-dropdown-menu">
+                                        <!-- Column checkboxes will be populated by JavaScript -->
+                                    </div>
+                                </details>
+                                <details class="agtech-dropdown agtech-export" id="${p}-export">
+                                    <summary class="agtech-control-btn">${t('export.title')}</summary>
+                                    <div class="agtech-dropdown-menu">
+                                        <label class="agtech-dropdown-option">
+                                            ${t('export.delimiter')}
+                                            <select id="${p}-export-delimiter">
+                                                <option value=";">${t('export.semicolon')}</option>
+                                                <option value=",">${t('export.comma')}</option>
+                                                <option value="tab">${t('export.tab')}</option>
+                                            </select>
+                                        </label>
+                                        <label class="agtech-checkbox">
+                                            <input type="checkbox" id="${p}-export-bom" checked>
+                                            ${t('export.bom')}
+                                        </label>
+                                        <button type="button" class="agtech-export-btn" data-export="csv">CSV</button>
+                                        <button type="button" class="agtech-export-btn" data-export="excel">${t('export.excel')}</button>
+                                        <button type="button" class="agtech-export-btn" data-export="json">JSON</button>
+                                        <button type="button" class="agtech-export-btn" data-export="geojson">GeoJSON</button>
+                                    </div>
+                                </details>
+                            </div>
+                            <div class="agtech-table-scroll" id="${p}-table-scroll">
+                                <table class="agtech-table" id="${p}-table" aria-label="${t('table.label')}">
+                                    <thead id="${p}-table-head">
+                                        <!-- Sortable column headers will be populated by JavaScript -->
+                                    </thead>
+                                    <tbody id="${p}-table-body">
+                                        <!-- Table rows will be populated by JavaScript -->
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+                </section>
+            </main>
+        `;
+    }
+
+    /**
+     * Main application class that orchestrates all components.
+     * Public, embeddable widget: every instance builds its own DOM inside the given container.
+     *
+     * @example
+     * const app = new AgTechMapApp({
+     *     container: '#agtech-map-container',
+     *     csvUrl: 'pfad/zu/daten.csv',
+     *     map: { zoom: { default: 7 } }
+     * });
+     * app.on('select', ({ organizations }) => console.log(organizations));
+     * await app.ready;
+     * app.setFilters({ types: ['Startup'], states: ['Niedersachsen'] });
      */
     class AgTechMapApp {
         /**
          * Initialize the application
+         * @param {Object} options - Widget options
+         * @param {string|HTMLElement} options.container - Container element or selector
+         * @param {string} options.csvUrl - Shorthand for `data.csvUrl`
+         * @param {...Object} options.overrides - Any other keys are deep-merged into the default CONFIG
          */
-        constructor() {
+        constructor(options = {}) {
+            const { container, csvUrl, ...overrides } = options;
+
+            this.config = mergeConfig(CONFIG, overrides);
+            if (csvUrl) {
+                this.config.data.csvUrl = csvUrl;
+            }
+
+            this.container = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!this.container) {
+                throw new Error('AgTechMapApp: container element not found');
+            }
+
+            // UI language: the URL (`lang`) wins over the configured language
+            this.defaultLanguage = this.resolveLanguage(this.config.ui.language);
+            this.language = this.getUrlLanguage() || this.defaultLanguage;
+
+            // The first instance keeps the historic "agtech-*" element IDs
+            instanceCount++;
+            this.idPrefix = instanceCount === 1 ? 'agtech' : `agtech-${instanceCount}`;
+            this.root = this.createDOM();
+
+            this.eventHandlers = new Map();
+            this.globalListeners = [];
+            this.isDestroyed = false;
+
             this.data = null;
             this.map = null;
             this.markerCluster = null;
             this.locationGroups = new Map();
-            this.activeFilters = {
-                type: null,
-                categories: new Set()
-            };
+            this.filteredData = [];
+            this.dataProblems = [];
+            this.dataColumns = { renamed: [], ignored: [] };
+            this.activeFilters = createDefaultFilters();
+
+            // Marker coloring mode and the color of every group per mode (built from the full data set)
+            this.defaultColorMode = Object.keys(COLOR_MODES).includes(this.config.map.colorBy) ?
+                this.config.map.colorBy : 'type';
+            this.colorMode = this.defaultColorMode;
+            this.colorScales = {};
+
+            // Restrict table, statistics and counters to the visible map area
+            this.viewportOnly = false;
+
+            // Debounced refresh of all views after filter changes
+            this.applyFiltersDebounced = Utils.debounce(() => {
+                this.applyFilters();
+            }, this.config.performance.debounceDelay);
 
             // Component instances
             this.mapComponent = null;
             this.filterComponent = null;
             this.tableComponent = null;
+            this.dashboardComponent = null;
             this.detailComponent = null;
+            this.urlStateComponent = null;
+            this.validationComponent = null;
+
+            // Initialize the application; resolves once data is loaded
+            this.ready = this.init();
+        }
+
+        /**
+         * Render the application markup into the container
+         * @returns {HTMLElement} Application root element
+         */
+        createDOM() {
+            const root = document.createElement('div');
+            root.className = 'agtech-app';
+            root.id = `${this.idPrefix}-app`;
+            root.lang = this.language;
+            root.innerHTML = createAppTemplate(this.idPrefix, this.config, (key, params) => this.t(key, params));
+
+            this.container.appendChild(root);
+            return root;
+        }
+
+        /**
+         * Get an element of this instance by its unprefixed ID
+         * @param {string} name - Element name, e.g. "map" for #agtech-map
+         * @returns {HTMLElement|null} Element
+         */
+        getElement(name) {
+            return this.root.querySelector(`#${this.idPrefix}-${name}`);
+        }
+
+        /**
+         * Resolve a configured language to a key of MESSAGES
+         * @param {string} language - Language key or 'auto' for the browser language
+         * @returns {string} Supported language, German if unknown
+         */
+        resolveLanguage(language) {
+            const candidate = language === 'auto' ?
+                (navigator.language || '').slice(0, 2).toLowerCase() :
+                language;
+            return MESSAGES[candidate] ? candidate : 'de';
+        }
+
+        /**
+         * Language stored in the URL hash (`lang`), needed before the markup is created
+         * @returns {string|null} Supported language or null
+         */
+        getUrlLanguage() {
+            if (!this.config.urlState.enabled) return null;
+
+            const language = new URLSearchParams(window.location.hash.replace(/^#/, '')).get('lang');
+            return MESSAGES[language] ? language : null;
+        }
+
+        /**
+         * Look up a UI text in the active language (German if the language lacks it)
+         * @param {string} key - Message key, e.g. "detail.title"
+         * @param {Object} params - Values for the {placeholders} or the message function
+         * @returns {string} Text
+         * @example app.t('common.organizations', { count: 12 }) // "12 Akteure"
+         */
+        t(key, params = {}) {
+            const message = MESSAGES[this.language][key] ?? MESSAGES.de[key];
+            if (message === undefined) {
+                console.warn(`Missing message: ${key}`);
+                return key;
+            }
+            if (typeof message === 'function') {
+                return message(params);
+            }
+            return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+        }
+
+        /**
+         * Pick the text of the active language from a configured label
+         * @param {string|Object} label - Text or texts per language, e.g. { de: 'Hell', en: 'Light' }
+         * @returns {string} Text
+         */
+        localize(label) {
+            if (!label || typeof label !== 'object') return label || '';
+            return label[this.language] ?? label.de ?? Object.values(label)[0] ?? '';
+        }
+
+        /**
+         * Format a number in the notation of the active language
+         * @param {number} num - Number to format
+         * @returns {string} Formatted number
+         */
+        formatNumber(num) {
+            return Utils.formatNumber(num, this.t('locale'));
+        }
+
+        /**
+         * Display name of an organization type (the data keeps the German names)
+         * @param {string} type - Organization type
+         * @returns {string} Translated type, the type itself if no translation exists
+         */
+        translateType(type) {
+            return MESSAGES[this.language].types?.[type] || type;
+        }
+
+        /**
+         * Display name of a category (the data keeps the German names)
+         * @param {string} category - Category
+         * @returns {string} Translated category, the category itself if no translation exists
+         */
+        translateCategory(category) {
+            return MESSAGES[this.language].categories?.[category] || category;
+        }
+
+        /**
+         * Text field of an organization in the active language. Sources may provide translations
+         * in fields with the language as suffix (e.g. AiSummaryEn); the German field is the fallback.
+         * @param {Object} org - Organization data
+         * @param {string} field - Field name, e.g. "AiSummary"
+         * @returns {string} Text
+         */
+        getText(org, field) {
+            if (this.language !== 'de') {
+                const translated = org[`${field}${this.language[0].toUpperCase()}${this.language.slice(1)}`];
+                if (translated) return translated;
+            }
+            return org[field] || '';
+        }
+
+        /**
+         * Switch the UI language. The markup is rebuilt in the new language and the current
+         * filters, selection and map view are carried over.
+         * @param {string} language - Key of MESSAGES, e.g. 'en'
+         * @param {Object} options - Options
+         * @param {string|null} options.state - Hash to restore after the rebuild (when restoring a link
+         *     in another language); by default the current state, with its own history entry
+         * @example app.setLanguage('en')
+         */
+        setLanguage(language, { state = null } = {}) {
+            if (!MESSAGES[language] || language === this.language || this.isDestroyed) return;
 
-            // Initialize the application
-            this.init();
+            if (!this.data) {
+                // Rebuilding during the initial load would race with it
+                this.ready.then(() => this.data && this.setLanguage(language, { state }));
+                return;
+            }
+
+            this.language = language;
+            if (state === null) {
+                this.urlStateComponent.update({ push: true });
+            }
+            const hash = state ?? this.urlStateComponent.serialize();
+
+            this.teardown();
+            this.root = this.createDOM();
+            this.initializeComponents();
+            this.renderData();
+            this.setupEventListeners();
+
+            if (this.config.urlState.enabled) {
+                this.urlStateComponent.initialize(hash);
+            } else {
+                this.urlStateComponent.restore(hash);
+            }
+            this.validationComponent.initialize();
+
+            this.emit('languagechange', { language });
+        }
+
+        /**
+         * Add an event listener to a shared target (window, document) that is removed on destroy()
+         * @param {EventTarget} target - Event target
+         * @param {string} type - Event type
+         * @param {Function} handler - Event handler
+         * @param {Object} options - addEventListener options
+         */
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.globalListeners.push({ target, type, handler, options });
+        }
+
+        /**
+         * Subscribe to an application event
+         * (ready, filterchange, select, deselect, languagechange, error, destroy)
+         * @param {string} event - Event name
+         * @param {Function} handler - Event handler receiving the event payload
+         * @returns {AgTechMapApp} The app for chaining
+         */
+        on(event, handler) {
+            if (!this.eventHandlers.has(event)) {
+                this.eventHandlers.set(event, new Set());
+            }
+            this.eventHandlers.get(event).add(handler);
+            return this;
+        }
+
+        /**
+         * Unsubscribe from an application event
+         * @param {string} event - Event name
+         * @param {Function} handler - Previously registered handler
+         * @returns {AgTechMapApp} The app for chaining
+         */
+        off(event, handler) {
+            this.eventHandlers.get(event)?.delete(handler);
+            return this;
+        }
+
+        /**
+         * Notify event subscribers; errors in handlers do not break the app
+         * @param {string} event - Event name
+         * @param {Object} payload - Event data
+         */
+        emit(event, payload = {}) {
+            this.eventHandlers.get(event)?.forEach(handler => {
+                try {
+                    handler({ type: event, app: this, ...payload });
+                } catch (error) {
+                    console.error(`AgTech Map event handler for "${event}" failed:`, error);
+                }
+            });
         }
 
         /**
@@ -115,20 +1403,53 @@
                 // Initialize components
                 this.initializeComponents();
 
+                // Cache the app for offline use, runs in the background
+                this.registerServiceWorker();
+
                 // Load and process data
                 await this.loadData();
+                if (this.isDestroyed) return;
 
                 // Setup event listeners
                 this.setupEventListeners();
 
+                // Restore filters, selection and map view from the URL hash
+                this.urlStateComponent.initialize();
+
                 this.showLoading(false);
 
+                // Data validation report (?validate=1), renders asynchronously
+                this.validationComponent.initialize();
+
                 console.log('AgTech Map Application initialized successfully');
+                this.emit('ready', { organizations: this.data });
             } catch (error) {
                 this.handleError(error);
             }
         }
 
+        /**
+         * Register the service worker of CONFIG.offline (see sw.js)
+         * @returns {Promise<void>}
+         */
+        async registerServiceWorker() {
+            const url = this.config.offline?.serviceWorkerUrl;
+            if (!url || !('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+            // The worker serves only the app files and these data sources network first
+            const workerUrl = new URL(url, window.location.href);
+            const { data, map } = this.config;
+            [data.csvUrl, data.statesGeoJsonUrl, ...Object.values(map.overlays || {}).map(overlay => overlay?.geojsonUrl)]
+                .filter(Boolean)
+                .forEach(dataUrl => workerUrl.searchParams.append('data', new URL(dataUrl, window.location.href).href));
+
+            try {
+                await navigator.serviceWorker.register(workerUrl.href);
+            } catch (error) {
+                console.warn('Service worker registration failed, offline use not available:', error);
+            }
+        }
+
         /**
          * Initialize all application components
          */
@@ -136,90 +1457,238 @@
             this.mapComponent = new MapComponent(this);
             this.filterComponent = new FilterComponent(this);
             this.tableComponent = new TableComponent(this);
+            this.dashboardComponent = new DashboardComponent(this);
             this.detailComponent = new DetailComponent(this);
+            this.urlStateComponent = new UrlStateComponent(this);
+            this.validationComponent = new ValidationComponent(this);
         }
 
         /**
-         * Load data from CSV file with error handling
+         * Load the data source through the matching loader (see DataLoaders)
          * @returns {Promise<void>}
          */
         async loadData() {
-            return new Promise((resolve, reject) => {
-                Papa.parse(CONFIG.data.csvUrl, {
-                    download: true,
-                    header: true,
-                    delimiter: CONFIG.data.delimiter,
-                    skipEmptyLines: true,
-                    encoding: CONFIG.data.encoding,
-                    complete: (results) => {
-                        if (results.errors.length > 0) {
-                            console.warn('CSV parsing warnings:', results.errors);
-                        }
+            const { csvUrl: url, encoding } = this.config.data;
 
-                        this.data = this.validateAndCleanData(results.data);
-                        this.processLocationGroups();
+            let text;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                text = new TextDecoder(encoding).decode(await response.arrayBuffer());
+            } catch (error) {
+                throw new Error(this.t('error.loadData', { url, message: error.message }));
+            }
 
-                        // Initialize components with data
-                        this.mapComponent.addMarkers(this.locationGroups);
-                        this.filterComponent.initialize(this.data);
-                        this.tableComponent.initialize(this.data);
+            // Destroyed while loading
+            if (this.isDestroyed) return;
 
-                        resolve();
-                    },
-                    error: (error) => {
-                        reject(new Error(`Fehler beim Laden der CSV-Datei: ${error.message}`));
-                    }
-                });
-            });
+            const format = DataLoaders.resolve(this.config.data.format, url, text);
+            let records;
+            let problems;
+            try {
+                ({ records, problems } = DataLoaders.get(format).parse(text, this.config.data));
+            } catch (error) {
+                throw new Error(this.t('error.parseData', { url, message: this.formatMessage(error) }));
+            }
+
+            this.dataProblems = problems;
+            this.dataColumns = DataLoaders.describeColumns(records, this.config.data.fieldMap);
+            this.data = this.validateAndCleanData(
+                records.map(record => DataLoaders.mapFields(record, this.config.data.fieldMap))
+            );
+
+            if (this.dataProblems.length > 0) {
+                console.warn(`AgTech Map: ${this.dataProblems.length} problems while reading the data (${format}):`, this.getDataProblems());
+            }
+
+            this.renderData();
+        }
+
+        /**
+         * Initialize the components with the loaded data
+         */
+        renderData() {
+            // Filters may have been set through the API before the data arrived
+            this.filteredData = this.data.filter(org => this.matchesFilters(org, this.activeFilters));
+            this.processLocationGroups(this.filteredData);
+
+            // Initialize components with data
+            this.mapComponent.addMarkers(this.locationGroups);
+            this.filterComponent.initialize(this.data);
+            this.tableComponent.initialize(this.getViewportData());
+            this.dashboardComponent.initialize();
+            this.dashboardComponent.update(this.getViewportData());
+            this.mapComponent.updateLegend(this.filteredData);
+        }
+
+        /**
+         * Get the problems found while reading the data source, described in the active language
+         * @returns {Array<{row: number, id: string, field: string, code: string, message: string}>} Problems per source row
+         */
+        getDataProblems() {
+            return this.dataProblems.map(problem => ({ ...problem, message: this.formatMessage(problem) }));
+        }
+
+        /**
+         * Text of a data problem or loader error. Problems and errors carry a message key
+         * (`messageKey`, `params`) so they follow language changes; a plain `message`
+         * (e.g. from custom loaders) is used as is.
+         * @param {Object} item - Problem or error
+         * @returns {string} Text in the active language
+         */
+        formatMessage(item) {
+            return item.messageKey ? this.t(item.messageKey, item.params) : item.message;
+        }
+
+        /**
+         * Check the loaded data for problems (see ValidationComponent)
+         * @returns {Promise<Object>} Validation report
+         */
+        validate() {
+            return this.validationComponent.validate();
         }
 
         /**
-         * Validate and clean the loaded data
-         * @param {Array} rawData - Raw data from CSV
+         * Validate and clean the loaded data.
+         * Rows without a name are dropped, rows with unusable coordinates are kept
+         * (table only); both are recorded in this.dataProblems (translated by getDataProblems()).
+         * @param {Array} rawData - Records in the internal field model
          * @returns {Array} Cleaned and validated data
          */
         validateAndCleanData(rawData) {
-            return rawData.filter(org => {
+            const report = (index, org, field, code, messageKey, params = {}) => {
+                this.dataProblems.push({ row: index + 1, id: org.IdNr || '', field, code, messageKey, params });
+            };
+
+            return rawData.filter((org, index) => {
                 // Basic validation
                 if (!org.OrganizationName || org.OrganizationName.trim() === '') {
+                    report(index, org, 'OrganizationName', 'missing-name', 'problem.missingName');
                     return false;
                 }
 
                 // Clean and normalize data
+                org.IdNr = org.IdNr ? org.IdNr.toString().trim() : String(index + 1);
                 org.OrganizationName = org.OrganizationName.trim();
                 org.OrganizationType = org.OrganizationType || 'Startup';
                 org.FinalCategories = org.FinalCategories || '';
-                org.Headquarter = org.Headquarter || org.Headquater || '';
+                org.Headquarter = org.Headquarter || '';
+                org.Bundesland = org.Bundesland ? org.Bundesland.trim() : '';
                 org.WebsiteUrl = org.WebsiteUrl ? org.WebsiteUrl.trim() : '';
                 org.AiSummary = org.AiSummary || '';
+                org.AiDescription = org.AiDescription || '';
+                org.SourceDescription = org.SourceDescription || '';
+
+                // Pre-folded text used by the full-text search (translated texts included)
+                org.searchText = Utils.normalizeSearchText([
+                    org.OrganizationName,
+                    org.Headquarter,
+                    org.AiSummary,
+                    org.AiDescription,
+                    org.SourceDescription,
+                    org.AiSummaryEn,
+                    org.AiDescriptionEn
+                ].filter(Boolean).join(' '));
 
                 // Parse coordinates
                 org.latitude = this.parseCoordinate(org.Latitude);
                 org.longitude = this.parseCoordinate(org.Longitude);
 
+                if (org.latitude === null || org.longitude === null) {
+                    const field = org.latitude === null ? 'Latitude' : 'Longitude';
+                    if (org.Latitude || org.Longitude) {
+                        report(index, org, field, 'invalid-coordinates', 'problem.invalidCoordinates',
+                            { latitude: org.Latitude, longitude: org.Longitude });
+                    } else {
+                        report(index, org, field, 'missing-coordinates', 'problem.missingCoordinates');
+                    }
+                    org.latitude = null;
+                    org.longitude = null;
+                }
+
+                // Normalize founding year to an integer (raw value stays in FoundingYear)
+                org.foundingYear = this.parseFoundingYear(org.FoundingYear);
+
+                // AI use score between 0 and 1 (German decimal comma in the CSV)
+                org.aiUseScore = this.parseDecimal(org.AiUseScore);
+
+                // Whether the organization mentions AI (0/1, null if not assessed)
+                org.aiMention = this.parseFlag(org.AiMention);
+
                 return true;
             });
         }
 
+        /**
+         * Parse the founding year from the mixed formats found in the data
+         * ("2018", "Jul 6, 2017", "Mar 2022", "Jan 21" = January 2021)
+         * @param {string} value - Raw founding year
+         * @returns {number|null} Four-digit year or null if unknown/unparseable
+         */
+        parseFoundingYear(value) {
+            if (!value) return null;
+            const text = value.toString().trim();
+
+            let year = null;
+            const fullYear = text.match(/\b(1[89]|20)\d{2}\b/);
+            const shortYear = text.match(/^[A-Za-zÄÖÜäöü]{3,}\.?\s+(\d{2})$/);
+
+            if (fullYear) {
+                year = parseInt(fullYear[0], 10);
+            } else if (shortYear) {
+                year = 2000 + parseInt(shortYear[1], 10);
+            }
+
+            // Reject years in the future
+            if (year === null || year > new Date().getFullYear()) {
+                return null;
+            }
+            return year;
+        }
+
         /**
          * Parse coordinate string to float
          * @param {string} coord - Coordinate string
          * @returns {number|null} Parsed coordinate or null if invalid
          */
         parseCoordinate(coord) {
-            if (!coord) return null;
-            const cleaned = coord.toString().replace(',', '.');
-            const parsed = parseFloat(cleaned);
-            return isNaN(parsed) ? null : parsed;
+            return this.parseDecimal(coord);
+        }
+
+        /**
+         * Parse a number that may use a decimal comma
+         * @param {string} value - Number string
+         * @returns {number|null} Parsed number or null if invalid
+         */
+        parseDecimal(value) {
+            if (!value) return null;
+            const cleaned = value.toString().replace(',', '.');
+            const parsed = parseFloat(cleaned);
+            return isNaN(parsed) ? null : parsed;
+        }
+
+        /**
+         * Parse a 0/1 flag (also accepts true/false from JSON sources)
+         * @param {string|number|boolean} value - Flag value
+         * @returns {boolean|null} Parsed flag or null if empty or invalid
+         */
+        parseFlag(value) {
+            const text = String(value ?? '').trim().toLowerCase();
+            if (['1', 'true', 'ja'].includes(text)) return true;
+            if (['0', 'false', 'nein'].includes(text)) return false;
+            return null;
         }
 
         /**
          * Group organizations by their coordinates
+         * @param {Array} organizations - Organizations to group (defaults to all data)
          */
-        processLocationGroups() {
+        processLocationGroups(organizations = this.data) {
             this.locationGroups.clear();
 
-            this.data.forEach(org => {
+            organizations.forEach(org => {
                 if (org.latitude !== null && org.longitude !== null) {
                     const key = `${org.latitude},${org.longitude}`;
 
@@ -237,21 +1706,21 @@
          */
         setupEventListeners() {
             // Navigation between map and table
-            document.getElementById('agtech-back-to-map')?.addEventListener('click', () => {
-                this.scrollToElement('agtech-app');
+            this.getElement('back-to-map')?.addEventListener('click', () => {
+                this.scrollToElement('app');
             });
 
             // Window resize handler with debouncing
             let resizeTimeout;
-            window.addEventListener('resize', () => {
+            this.listen(window, 'resize', () => {
                 clearTimeout(resizeTimeout);
                 resizeTimeout = setTimeout(() => {
                     this.mapComponent.handleResize();
-                }, CONFIG.performance.debounceDelay);
+                }, this.config.performance.debounceDelay);
             });
 
             // Filter toggle for mobile
-            const filterToggle = document.getElementById('agtech-filter-toggle');
+            const filterToggle = this.getElement('filter-toggle');
             if (filterToggle) {
                 filterToggle.addEventListener('click', () => {
                     this.filterComponent.toggleMobileFilters();
@@ -264,7 +1733,7 @@
          * @param {boolean} show - Whether to show loading
          */
         showLoading(show) {
-            const loading = document.getElementById('agtech-loading');
+            const loading = this.getElement('loading');
             if (loading) {
                 loading.style.display = show ? 'flex' : 'none';
             }
@@ -279,22 +1748,22 @@
 
             const errorHTML = `
                 <div class="agtech-error">
-                    <h3>Fehler beim Laden der Anwendung</h3>
-                    <p>${error.message}</p>
-                    <button onclick="location.reload()">Seite neu laden</button>
+                    <h3>${this.t('error.title')}</h3>
+                    <p>${Utils.escapeHtml(this.formatMessage(error))}</p>
+                    <button onclick="location.reload()">${this.t('error.reload')}</button>
                 </div>
             `;
 
-            document.getElementById('agtech-app').innerHTML = errorHTML;
-            this.showLoading(false);
+            this.root.innerHTML = errorHTML;
+            this.emit('error', { error });
         }
 
         /**
          * Smooth scroll to element
-         * @param {string} elementId - ID of element to scroll to
+         * @param {string} name - Unprefixed ID of element to scroll to (e.g. "table-section")
          */
-        scrollToElement(elementId) {
-            const element = document.getElementById(elementId);
+        scrollToElement(name) {
+            const element = name === 'app' ? this.root : this.getElement(name);
             if (element) {
                 element.scrollIntoView({
                     behavior: 'smooth',
@@ -309,7 +1778,618 @@
          */
         updateFilters(filters) {
             this.activeFilters = { ...filters };
-            this.tableComponent.applyFilters(this.activeFilters);
+            this.applyFiltersDebounced();
+        }
+
+        /**
+         * Replace the active filters and refresh all views immediately
+         * (used when restoring state and by the public API, bypasses the input debounce).
+         * Keys that are omitted keep their current value; arrays are accepted instead of Sets.
+         * @param {Object} filters - New (partial) filter state
+         * @param {Object} options - Options passed to applyFilters
+         * @example app.setFilters({ types: ['Startup', 'Accelerator'], states: ['Bayern'], years: [2015, 2020] })
+         */
+        setFilters(filters, options = {}) {
+            this.activeFilters = this.normalizeFilters(filters);
+
+            // Before the data is loaded the filters are only stored and applied on load
+            if (!this.data) return;
+
+            this.filterComponent.setFilters(this.activeFilters);
+            this.applyFilters(options);
+        }
+
+        /**
+         * Merge a partial filter state into the active filters
+         * @param {Object} filters - Partial filter state
+         * @returns {Object} Complete filter state
+         */
+        normalizeFilters(filters = {}) {
+            const normalized = { ...this.activeFilters, ...filters };
+
+            // Former binary switch ('startup' / 'other'), still accepted from the API and old links
+            if ('type' in normalized) {
+                normalized.types = this.expandLegacyType(normalized.type);
+                delete normalized.type;
+            }
+            normalized.types = normalized.types ? new Set(normalized.types) : null;
+
+            normalized.categories = new Set(normalized.categories);
+            normalized.states = new Set(normalized.states);
+            normalized.sources = new Set(normalized.sources);
+            normalized.search = normalized.search || '';
+
+            if (Array.isArray(normalized.years)) {
+                const [min, max] = normalized.years;
+                normalized.years = { min, max };
+            }
+            if (Array.isArray(normalized.aiScore)) {
+                const [min, max] = normalized.aiScore;
+                normalized.aiScore = { min, max };
+            }
+            normalized.aiMention = Boolean(normalized.aiMention);
+
+            const proximity = normalized.proximity;
+            normalized.proximity = proximity &&
+                [proximity.lat, proximity.lng, proximity.radius].every(Number.isFinite) && proximity.radius > 0 ?
+                { lat: proximity.lat, lng: proximity.lng, radius: proximity.radius, label: proximity.label || '' } :
+                null;
+
+            const region = normalized.region;
+            normalized.region = Array.isArray(region) && region.length >= 3 &&
+                region.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)) ?
+                region.map(([lng, lat]) => [lng, lat]) :
+                null;
+
+            return normalized;
+        }
+
+        /**
+         * Get a copy of the active filters with plain arrays (e.g. for storing or serializing)
+         * @returns {Object} Filter state
+         */
+        getFilters() {
+            return {
+                ...this.activeFilters,
+                types: this.activeFilters.types ? [...this.activeFilters.types] : null,
+                categories: [...this.activeFilters.categories],
+                states: [...this.activeFilters.states],
+                sources: [...this.activeFilters.sources],
+                years: this.activeFilters.years ? { ...this.activeFilters.years } : null,
+                aiScore: this.activeFilters.aiScore ? { ...this.activeFilters.aiScore } : null,
+                proximity: this.activeFilters.proximity ? { ...this.activeFilters.proximity } : null,
+                region: this.activeFilters.region ? this.activeFilters.region.map(point => [...point]) : null
+            };
+        }
+
+        /**
+         * Get the organizations matching the active filters
+         * @returns {Array} Filtered organizations
+         */
+        getFilteredData() {
+            return [...this.filteredData];
+        }
+
+        /**
+         * Zoom to an organization, highlight its marker and show its details
+         * @param {string|number} idOrName - IdNr or exact OrganizationName
+         * @returns {boolean} Whether the organization was found
+         */
+        focusOrganization(idOrName) {
+            const key = String(idOrName);
+            const org = this.data?.find(item => item.IdNr === key || item.OrganizationName === key);
+            if (!org) return false;
+
+            this.mapComponent.focusOrganization(org);
+            this.detailComponent.show([org], org.Headquarter || org.OrganizationName);
+            return true;
+        }
+
+        /**
+         * Remove the widget: stops timers, removes listeners, the map and all markup
+         */
+        destroy() {
+            if (this.isDestroyed) return;
+            this.isDestroyed = true;
+
+            this.teardown();
+
+            this.emit('destroy');
+            this.eventHandlers.clear();
+        }
+
+        /**
+         * Stop timers, remove listeners, the map and the markup of the current components
+         */
+        teardown() {
+            this.filterComponent.stopYearAnimation();
+            this.globalListeners.forEach(({ target, type, handler, options }) => {
+                target.removeEventListener(type, handler, options);
+            });
+            this.globalListeners = [];
+
+            this.mapComponent.destroy();
+            if (this.detailComponent.isVisible()) {
+                document.body.style.overflow = '';
+            }
+            this.root.remove();
+        }
+
+        /**
+         * Filter the data set and push the result to map, legend, table and detail panel
+         * @param {Object} options - Refresh options
+         * @param {boolean} options.fitBounds - Whether to fit the map to the filtered markers
+         * @param {boolean} options.pushHistory - Whether the change gets its own history entry
+         */
+        applyFilters({ fitBounds = true, pushHistory = true } = {}) {
+            if (!this.data || this.isDestroyed) return;
+
+            this.filteredData = this.data.filter(org => this.matchesFilters(org, this.activeFilters));
+
+            // Map: rebuild location groups and cluster icons from the filtered set
+            this.processLocationGroups(this.filteredData);
+            this.mapComponent.addMarkers(this.locationGroups, { fitBounds });
+            this.mapComponent.updateLegend(this.filteredData);
+            this.mapComponent.updateStateLayer();
+            this.mapComponent.updateDensityLayer();
+            this.mapComponent.updateProximityLayer();
+            this.mapComponent.updateRegionLayer();
+
+            // Filter counts, table, statistics and detail panel
+            this.filterComponent.updateCounts();
+            this.updateViewportViews();
+            this.detailComponent.applyFilters(org => this.matchesFilters(org, this.activeFilters));
+
+            // Filter changes get their own history entry
+            this.urlStateComponent.update({ push: pushHistory });
+
+            this.emit('filterchange', {
+                filters: this.getFilters(),
+                organizations: this.getFilteredData()
+            });
+        }
+
+        /**
+         * Check if organization matches active filters
+         * @param {Object} org - Organization data
+         * @param {Object} filters - Filter criteria
+         * @returns {boolean} Whether organization matches filters
+         */
+        matchesFilters(org, filters) {
+            // Type filter (multi-select, null = all types)
+            const typeMatch = filters.types === null ||
+                filters.types.has(org.OrganizationType || 'Startup');
+
+            // Category filter (multi-select, applies to all types)
+            const categoryMatch = filters.categories.size === 0 ||
+                filters.categories.has(org.FinalCategories);
+
+            // Bundesland filter (multi-select)
+            const stateMatch = filters.states.size === 0 ||
+                filters.states.has(org.Bundesland);
+
+            // Data source filter (multi-select)
+            const sourceMatch = filters.sources.size === 0 ||
+                filters.sources.has(org.Source);
+
+            // Founding year range; organizations without a known year only via the explicit toggle
+            const yearMatch = org.foundingYear === null ?
+                filters.includeUnknownYears :
+                (!filters.years ||
+                    (org.foundingYear >= filters.years.min && org.foundingYear <= filters.years.max));
+
+            // AI usage: score range at the slider's resolution of 0.1 (organizations without
+            // a score only match the full range) and the "mentions AI" toggle
+            const score = org.aiUseScore === null ? null : Math.round(org.aiUseScore * 10) / 10;
+            const aiMatch = (!filters.aiScore ||
+                    (score !== null && score >= filters.aiScore.min && score <= filters.aiScore.max)) &&
+                (!filters.aiMention || org.aiMention === true);
+
+            // Radius search: organizations without coordinates never match
+            const proximityMatch = !filters.proximity || (org.latitude !== null &&
+                Utils.distanceKm(org.latitude, org.longitude, filters.proximity.lat, filters.proximity.lng) <=
+                    filters.proximity.radius);
+
+            // Region drawn on the map
+            const regionMatch = !filters.region ||
+                (org.latitude !== null && Utils.pointInRing(org.latitude, org.longitude, filters.region));
+
+            // Full-text search: every term must occur in one of the searchable fields
+            const searchMatch = Utils.getSearchTerms(filters.search)
+                .every(term => Utils.getTermVariants(term).some(variant => org.searchText.includes(variant)));
+
+            return typeMatch && categoryMatch && stateMatch && sourceMatch && yearMatch && aiMatch &&
+                proximityMatch && regionMatch && searchMatch;
+        }
+
+        /**
+         * Organization types: those of COLOR_SCHEMES.types followed by unknown types found in the data
+         * @returns {Array<string>} Type names
+         */
+        getOrganizationTypes() {
+            const known = Object.keys(COLOR_SCHEMES.types);
+            const unknown = [...new Set((this.data || []).map(org => org.OrganizationType))]
+                .filter(type => type && !known.includes(type))
+                .sort((a, b) => a.localeCompare(b, 'de'));
+
+            return [...known, ...unknown];
+        }
+
+        /**
+         * Translate the former binary type switch into a type list
+         * @param {string|null} type - 'startup', 'other' or null
+         * @returns {Array<string>|null} Types, null for all
+         */
+        expandLegacyType(type) {
+            if (type === 'startup') return ['Startup'];
+            if (type === 'other') return this.getOrganizationTypes().filter(name => name !== 'Startup');
+            return null;
+        }
+
+        /**
+         * Count organizations per type, applying all active filters except the type filter
+         * @returns {Object<string, number>} Count per type
+         */
+        getTypeCounts() {
+            return this.getFacetCounts({ types: null }, org => org.OrganizationType || 'Startup');
+        }
+
+        /**
+         * Count organizations per Bundesland, applying all active filters except the Bundesland filter
+         * @returns {Object<string, number>} Count per Bundesland
+         */
+        getStateCounts() {
+            return this.getFacetCounts({ states: new Set() }, org => org.Bundesland);
+        }
+
+        /**
+         * Count organizations per value of a facet, applying all active filters except the facet's own
+         * @param {Object} without - Filter values lifting the facet's restriction, e.g. { states: new Set() }
+         * @param {Function} getValue - Facet value of an organization (empty values are not counted)
+         * @returns {Object<string, number>} Count per value
+         */
+        getFacetCounts(without, getValue) {
+            const filters = { ...this.activeFilters, ...without };
+
+            return (this.data || []).reduce((acc, org) => {
+                const value = getValue(org);
+                if (value && this.matchesFilters(org, filters)) {
+                    acc[value] = (acc[value] || 0) + 1;
+                }
+                return acc;
+            }, {});
+        }
+
+        /**
+         * Clear all filters and show every organization
+         */
+        resetFilters() {
+            this.setFilters(createDefaultFilters());
+        }
+
+        /**
+         * Start, change or end the radius search. Shows the organizations inside the circle
+         * sorted by distance in the detail panel and adds the distance column to the table.
+         * @param {Object|null} center - { lat, lng } (e.g. a Leaflet LatLng), null to end the search
+         * @param {Object} options - Search options
+         * @param {number} options.radius - Radius in km (defaults to the radius selected in the filter panel)
+         * @param {string} options.label - Place name for titles, empty for a point picked on the map
+         * @param {boolean} options.showList - Whether to open the distance-sorted list
+         * @example app.setProximity(app.resolvePlace('Osnabrück'), { radius: 50 })
+         */
+        setProximity(center, { radius = this.filterComponent.proximityRadius, label = center?.label || '', showList = true } = {}) {
+            if (!center) {
+                const previous = this.activeFilters.proximity;
+                this.setFilters({ proximity: null });
+                this.tableComponent.showDistance(false);
+
+                // The distance-sorted list makes no sense without the search
+                if (previous && this.detailComponent.currentLocation === this.getProximityTitle(previous)) {
+                    this.detailComponent.hide();
+                }
+                return;
+            }
+
+            this.setFilters({ proximity: { lat: center.lat, lng: center.lng, radius, label } }, { fitBounds: false });
+            if (!this.data) return;
+
+            this.mapComponent.fitProximity();
+            this.tableComponent.showDistance();
+            if (showList) {
+                this.showProximityList();
+            }
+        }
+
+        /**
+         * Show the organizations of the radius search in the detail panel, nearest first
+         */
+        showProximityList() {
+            const proximity = this.activeFilters.proximity;
+            if (!proximity) return;
+
+            if (this.filteredData.length === 0) {
+                this.detailComponent.hide();
+                return;
+            }
+
+            const organizations = [...this.filteredData]
+                .sort((a, b) => this.getProximityDistance(a) - this.getProximityDistance(b));
+            this.detailComponent.show(organizations, this.getProximityTitle(proximity));
+        }
+
+        /**
+         * Describe a radius search for titles, e.g. "25 km Umkreis um Osnabrück"
+         * @param {Object} proximity - Radius search filter
+         * @returns {string} Description
+         */
+        getProximityTitle(proximity) {
+            return this.t('proximity.title', {
+                radius: this.formatNumber(proximity.radius),
+                place: proximity.label || this.t('proximity.markedPoint')
+            });
+        }
+
+        /**
+         * Distance of an organization to the center of the active radius search
+         * @param {Object} org - Organization data
+         * @returns {number|null} Distance in km, null without radius search or coordinates
+         */
+        getProximityDistance(org) {
+            const proximity = this.activeFilters.proximity;
+            if (!proximity || org.latitude === null) return null;
+
+            return Utils.distanceKm(org.latitude, org.longitude, proximity.lat, proximity.lng);
+        }
+
+        /**
+         * Headquarter places of the data set with coordinates, most frequent first
+         * @returns {Array<string>} Place names
+         */
+        getPlaces() {
+            const counts = (this.data || []).reduce((acc, org) => {
+                if (org.Headquarter && org.latitude !== null) {
+                    acc.set(org.Headquarter, (acc.get(org.Headquarter) || 0) + 1);
+                }
+                return acc;
+            }, new Map());
+
+            return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b, 'de'));
+        }
+
+        /**
+         * Resolve a place name against the Headquarter values of the data set
+         * (exact match first, then the most frequent place starting with the name)
+         * @param {string} name - Place name, case and umlaut tolerant
+         * @returns {Object|null} { lat, lng, label } at the mean position of the place's organizations
+         */
+        resolvePlace(name) {
+            const query = Utils.normalizeSearchText((name || '').trim());
+            if (!query) return null;
+
+            const variants = Utils.getTermVariants(query);
+            const places = this.getPlaces();
+            const label = places.find(place => variants.includes(Utils.normalizeSearchText(place))) ||
+                places.find(place => variants.some(variant => Utils.normalizeSearchText(place).startsWith(variant)));
+            if (!label) return null;
+
+            const organizations = this.data.filter(org => org.Headquarter === label && org.latitude !== null);
+            return {
+                lat: organizations.reduce((sum, org) => sum + org.latitude, 0) / organizations.length,
+                lng: organizations.reduce((sum, org) => sum + org.longitude, 0) / organizations.length,
+                label
+            };
+        }
+
+        /**
+         * Show the filtered organizations inside a region in the detail panel
+         * @param {Array<Array<number>>} region - Ring of [lng, lat] positions
+         * @returns {Array} Organizations inside the region
+         */
+        selectRegion(region) {
+            const organizations = this.filteredData.filter(org =>
+                org.latitude !== null && Utils.pointInRing(org.latitude, org.longitude, region));
+
+            if (organizations.length > 0) {
+                this.detailComponent.show(organizations, this.t('location.region'));
+            } else {
+                this.detailComponent.hide();
+            }
+            this.emit('regionselect', { region, organizations });
+            return organizations;
+        }
+
+        /**
+         * Restrict all views to a region (saved with the view), or lift the restriction
+         * @param {Array<Array<number>>|null} region - Ring of [lng, lat] positions, null to remove the filter
+         * @example app.setRegion([[6.5, 51.2], [7.6, 51.2], [7.6, 51.7], [6.5, 51.7]])
+         */
+        setRegion(region) {
+            this.setFilters({ region }, { fitBounds: false });
+        }
+
+        /**
+         * Get normalized terms of the active search query
+         * @returns {Array<string>} Search terms used for highlighting
+         */
+        getSearchTerms() {
+            return Utils.getSearchTerms(this.activeFilters.search);
+        }
+
+        /**
+         * Excerpt of a search match in a field that the caller does not display
+         * @param {Object} org - Organization data
+         * @param {Array<string>} visibleFields - Fields already shown (and highlighted) by the caller
+         * @returns {string} Highlighted excerpt HTML or empty string
+         */
+        getHiddenSearchMatch(org, visibleFields) {
+            const searchTerms = this.getSearchTerms();
+            if (searchTerms.length === 0) return '';
+
+            const visibleMatch = visibleFields.some(field =>
+                Utils.findMatchRanges(this.getText(org, field), searchTerms).length > 0);
+            if (visibleMatch) return '';
+
+            return ['AiSummary', 'AiDescription', 'SourceDescription']
+                .filter(field => !visibleFields.includes(field))
+                .map(field => Utils.getSearchSnippet(this.getText(org, field), searchTerms))
+                .find(Boolean) || '';
+        }
+
+        /**
+         * Switch the "visible map area only" mode of table, statistics and counters
+         * @param {boolean} enabled - Restrict to the visible map area
+         * @param {Object} options - Options
+         * @param {boolean} options.refresh - Update the views (false when a filter update follows anyway)
+         */
+        setViewportOnly(enabled, { refresh = true } = {}) {
+            this.viewportOnly = Boolean(enabled);
+            this.tableComponent?.updateViewportToggle();
+            if (!this.data || !refresh) return;
+
+            this.updateViewportViews();
+            this.urlStateComponent.update({ push: true });
+        }
+
+        /**
+         * Filtered organizations for table and statistics: all of them, or in "visible map area only"
+         * mode those inside the current map bounds
+         * @returns {Array} Organizations
+         */
+        getViewportData() {
+            const bounds = this.viewportOnly ? this.mapComponent.getBounds() : null;
+            if (!bounds) return this.filteredData;
+
+            return this.filteredData.filter(org =>
+                org.latitude !== null && bounds.contains([org.latitude, org.longitude]));
+        }
+
+        /**
+         * Push the organizations of getViewportData() to table and statistics
+         */
+        updateViewportViews() {
+            const organizations = this.getViewportData();
+            this.tableComponent.update(organizations);
+            this.dashboardComponent.update(organizations);
+        }
+
+        /**
+         * Switch the marker coloring mode and re-render markers and legend
+         * @param {string} mode - Key of COLOR_MODES
+         * @param {Object} options - Options
+         * @param {boolean} options.refresh - Re-render the map (false when a filter update follows anyway)
+         */
+        setColorMode(mode, { refresh = true } = {}) {
+            if (!Object.keys(COLOR_MODES).includes(mode)) {
+                console.warn(`Unknown color mode: ${mode}`);
+                return;
+            }
+
+            this.colorMode = mode;
+            if (!this.data || !refresh) {
+                this.mapComponent?.updateColorModeSelect();
+                return;
+            }
+
+            this.mapComponent.refreshColors();
+            this.urlStateComponent.update({ push: true });
+        }
+
+        /**
+         * Get the legend group of an organization in the active coloring mode
+         * @param {Object} org - Organization data
+         * @returns {string|null} Group, null if unknown
+         */
+        getColorGroup(org) {
+            return COLOR_MODES[this.colorMode].value(org);
+        }
+
+        /**
+         * Get the displayed name of a legend group in the active coloring mode
+         * @param {string|null} group - Group as returned by getColorGroup()
+         * @returns {string} Name in the active language
+         */
+        getGroupLabel(group) {
+            if (group === null) return this.t('common.unknown');
+
+            const { groupLabel } = COLOR_MODES[this.colorMode];
+            return groupLabel ? groupLabel(group, this) : group;
+        }
+
+        /**
+         * Get the color of a legend group in the active coloring mode
+         * @param {string|null} group - Group as returned by getColorGroup()
+         * @returns {string} Color hex code
+         */
+        getGroupColor(group) {
+            if (group === null) return COLOR_SCHEMES.unknown;
+            return this.getColorScale().get(group) || COLOR_MODES[this.colorMode].fallback || COLOR_SCHEMES.unknown;
+        }
+
+        /**
+         * Get the marker color of an organization in the active coloring mode
+         * @param {Object} org - Organization data
+         * @returns {string} Color hex code
+         */
+        getMarkerColor(org) {
+            return this.getGroupColor(this.getColorGroup(org));
+        }
+
+        /**
+         * Ordered groups and their colors of the active coloring mode. Built once per mode
+         * from the full data set, so colors stay the same while filtering.
+         * @returns {Map<string, string>} Color per group, in legend order
+         */
+        getColorScale() {
+            if (this.colorScales[this.colorMode]) {
+                return this.colorScales[this.colorMode];
+            }
+
+            const mode = COLOR_MODES[this.colorMode];
+            const counts = new Map();
+            (this.data || []).forEach(org => {
+                const group = mode.value(org);
+                if (group !== null) {
+                    counts.set(group, (counts.get(group) || 0) + 1);
+                }
+            });
+
+            const scale = new Map(Object.entries(mode.colors || {}));
+            const generated = [...counts.keys()].filter(group => !scale.has(group));
+
+            if (mode.colors) {
+                // Values outside of a fixed scheme share its fallback color
+                generated.forEach(group => scale.set(group, mode.fallback));
+            } else {
+                if (mode.order === 'count') {
+                    generated.sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b, 'de'));
+                } else {
+                    generated.sort((a, b) => a.localeCompare(b, 'de', { numeric: true }));
+                }
+
+                const [from, to] = COLOR_SCHEMES.sequential;
+                const { palette } = COLOR_SCHEMES;
+                generated.forEach((group, index) => {
+                    scale.set(group, mode.sequential ?
+                        Utils.interpolateColor(from, to, generated.length > 1 ? index / (generated.length - 1) : 1) :
+                        palette[index] || `hsl(${Math.round(index * 137.5) % 360}, 55%, 45%)`);
+                });
+            }
+
+            this.colorScales[this.colorMode] = scale;
+            return scale;
+        }
+
+        /**
+         * Get badge colors for an AiUseScore (same buckets as the "KI-Score" coloring mode)
+         * @param {number} score - AiUseScore between 0 and 1
+         * @returns {{background: string, color: string}} Background and text color
+         */
+        getAiScoreColors(score) {
+            const mode = COLOR_MODES.aiUseScore;
+            return {
+                background: mode.colors[mode.value({ aiUseScore: score })] || COLOR_SCHEMES.unknown,
+                color: score >= 0.5 ? 'white' : '#333'
+            };
         }
 
         /**
@@ -346,6 +2426,53 @@
             this.map = null;
             this.markerCluster = null;
             this.legend = null;
+            this.legendContainer = null;
+            this.colorModeSelect = null;
+            this.fitBoundsTimeout = null;
+
+            // Markers by location key ("lat,lng"), used to find the marker of a table row
+            this.markersByLocation = new Map();
+            this.highlightedMarker = null;
+            this.pulsingElement = null;
+
+            // Fanned-out co-located group: { marker, layer, markers: Map<IdNr, L.Marker> }
+            this.spiderfied = null;
+
+            // Density view: weighting key of DENSITY_WEIGHTS, null while the cluster view is shown
+            this.densityWeight = null;
+            this.densityCanvas = null;
+            this.densityButton = null;
+            this.densityWeightSelect = null;
+
+            // Radius search circle and center marker
+            this.proximityLayer = null;
+
+            // Outline of Germany below the tiles, shown once tiles fail to load
+            this.outlineLayer = null;
+
+            // Region selection: active drawing tool ('rectangle' or 'polygon'), points of the shape
+            // being drawn, the drawn but not yet applied region and the shape on the map
+            this.regionTool = null;
+            this.regionDraft = null;
+            this.regionSelection = null;
+            this.regionLayer = null;
+            this.regionButtons = {};
+
+            // Bundesland choropleth layer (loaded on first use)
+            this.stateLayer = null;
+            this.stateLayerVisible = false;
+            this.stateLayerButton = null;
+            this.stateCounts = {};
+
+            // Base layers and overlays by key (see CONFIG.map.baseLayers / overlays)
+            this.baseLayers = {};
+            this.baseLayerKey = null;
+            this.defaultBaseLayerKey = null;
+            this.overlays = {};
+            this.layerControl = null;
+
+            // Loaded GeoJSON files by URL (promises)
+            this.geojsonCache = new Map();
             this.isInitialized = false;
             
             // Mobile detection
@@ -365,7 +2492,7 @@
          * Initialize the Leaflet map with mobile-optimized settings
          */
         initializeMap() {
-            const mapContainer = document.getElementById('agtech-map');
+            const mapContainer = this.app.getElement('map');
             if (!mapContainer) {
                 throw new Error('Map container element not found');
             }
@@ -389,8 +2516,8 @@
             };
 
             try {
-                this.map = L.map('agtech-map', mapOptions)
-                    .setView(CONFIG.map.center, this.getInitialZoom());
+                this.map = L.map(mapContainer, mapOptions)
+                    .setView(this.app.config.map.center, this.getInitialZoom());
             } catch (error) {
                 console.error('Failed to initialize map:', error);
                 throw new Error('Map initialization failed');
@@ -399,8 +2526,11 @@
             // Add custom zoom control
             this.addZoomControl();
 
-            // Add tile layer with error handling
-            this.addTileLayer();
+            // Base layers, overlays and layer switcher
+            this.addBaseLayers();
+
+            // Language switch (also on mobile, unlike the other map controls)
+            this.addLanguageControl();
 
             // Initialize marker cluster group with mobile-optimized settings
             this.initializeMarkerCluster();
@@ -422,54 +2552,272 @@
                 position: zoomPosition,
                 zoomInText: '+',
                 zoomOutText: '−',
-                zoomInTitle: 'Hineinzoomen',
-                zoomOutTitle: 'Herauszoomen'
+                zoomInTitle: this.app.t('map.zoomIn'),
+                zoomOutTitle: this.app.t('map.zoomOut')
             }).addTo(this.map);
         }
 
         /**
-         * Add tile layer with fallback options
+         * Add the language switch with one button per language of MESSAGES
          */
-        addTileLayer() {
-            const primaryTileLayer = L.tileLayer(CONFIG.map.tileLayer.url, {
-                attribution: CONFIG.map.tileLayer.attribution,
-                maxZoom: 18,
-                minZoom: 3,
-                tileSize: 256,
-                zoomOffset: 0,
-                detectRetina: true,
-                crossOrigin: true
-            });
-
-            // Fallback tile layer
-            const fallbackTileLayer = L.tileLayer('https://{s}.tile.openstreetmap.fr/osmfr/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap France',
-                maxZoom: 18,
-                minZoom: 3
-            });
+        addLanguageControl() {
+            const languages = Object.keys(MESSAGES);
+            if (languages.length < 2) return;
+
+            const control = L.control({ position: 'topright' });
+
+            control.onAdd = () => {
+                const div = L.DomUtil.create('div', 'agtech-language-switch leaflet-bar');
+                div.setAttribute('role', 'group');
+                div.setAttribute('aria-label', this.app.t('language.switch'));
+                div.innerHTML = languages.map(language => `
+                    <button type="button" lang="${language}" data-language="${language}"
+                        title="${MESSAGES[language].languageName}"
+                        aria-pressed="${language === this.app.language}">${language.toUpperCase()}</button>
+                `).join('');
+
+                div.addEventListener('click', (event) => {
+                    const button = event.target.closest('[data-language]');
+                    if (!button) return;
+
+                    this.trackEvent('language_change', { language: button.dataset.language });
+                    this.app.setLanguage(button.dataset.language);
+                });
 
-            // Add primary layer with error handling
-            primaryTileLayer.on('tileerror', (error) => {
-                console.warn('Tile loading error, switching to fallback:', error);
-                this.map.removeLayer(primaryTileLayer);
-                fallbackTileLayer.addTo(this.map);
-            });
+                L.DomEvent.disableClickPropagation(div);
+                return div;
+            };
 
-            primaryTileLayer.addTo(this.map);
+            control.addTo(this.map);
         }
 
         /**
-         * Initialize marker cluster group with mobile optimizations
+         * Create the base layers and overlays of CONFIG.map and the layer switcher
          */
-        initializeMarkerCluster() {
-            const clusterOptions = {
-                ...CONFIG.cluster,
-                maxClusterRadius: this.isMobile() ? 60 : CONFIG.cluster.maxRadius,
-                spiderfyOnMaxZoom: !this.isMobile(), // Disable spiderfy on mobile
-                zoomToBoundsOnClick: true,
-                showCoverageOnHover: !this.isMobile(),
-                iconCreateFunction: (cluster) => this.createClusterIcon(cluster),
-                // Mobile-specific cluster options
+        addBaseLayers() {
+            const { baseLayer, baseLayers, overlays = {}, tileLayer } = this.app.config.map;
+
+            // `map.tileLayer` of older embeddings replaces the standard layer
+            const definitions = { ...baseLayers };
+            if (tileLayer) {
+                definitions.standard = { ...definitions.standard, ...tileLayer };
+            }
+
+            Object.entries(definitions).forEach(([key, definition]) => {
+                if (definition?.url) {
+                    this.baseLayers[key] = this.createBaseLayer(definition);
+                }
+            });
+            Object.entries(overlays).forEach(([key, definition]) => {
+                if (definition?.url || definition?.geojsonUrl) {
+                    this.overlays[key] = this.createOverlay(definition);
+                }
+            });
+
+            this.defaultBaseLayerKey = this.baseLayers[baseLayer] ? baseLayer : Object.keys(this.baseLayers)[0];
+            this.setBaseLayer(this.defaultBaseLayerKey);
+            this.setOverlays(null);
+
+            // Leaflet inserts the layer names as HTML
+            const byLabel = (layers, layerDefinitions) => Object.fromEntries(Object.entries(layers).map(([key, layer]) =>
+                [Utils.escapeHtml(this.app.localize(layerDefinitions[key].label) || key), layer]));
+
+            if (Object.keys(this.baseLayers).length > 1 || Object.keys(this.overlays).length > 0) {
+                this.layerControl = L.control.layers(byLabel(this.baseLayers, definitions), byLabel(this.overlays, overlays), {
+                    position: 'topright'
+                }).addTo(this.map);
+            }
+        }
+
+        /**
+         * Create the tile layer of a base layer definition
+         * @param {Object} definition - Entry of CONFIG.map.baseLayers
+         * @returns {Object} Leaflet tile layer
+         */
+        createBaseLayer(definition) {
+            const { url, attribution, tms = false, maxNativeZoom = 18, subdomains = 'abc', className = '' } = definition;
+
+            const layer = L.tileLayer(url, {
+                attribution,
+                tms,
+                maxNativeZoom,
+                subdomains,
+                className,
+                maxZoom: 18,
+                minZoom: 3,
+                tileSize: 256,
+                zoomOffset: 0,
+                detectRetina: true,
+                crossOrigin: true
+            });
+
+            this.watchTileErrors(layer, definition);
+            return layer;
+        }
+
+        /**
+         * Switch a base layer to its fallback tiles after repeated errors. Single failing tiles
+         * (timeouts, gaps in a tile set) are ignored, every loaded tile resets the count.
+         * Without network the cached tiles stay (see sw.js) and the outline of Germany fills the gaps.
+         * @param {Object} layer - Leaflet tile layer
+         * @param {Object} definition - Entry of CONFIG.map.baseLayers
+         */
+        watchTileErrors(layer, definition) {
+            let failures = 0;
+            let usesFallback = false;
+
+            layer.on('tileload', () => {
+                failures = 0;
+            });
+
+            layer.on('tileerror', () => {
+                // Offline another tile server cannot help
+                if (!navigator.onLine) {
+                    this.showOutline();
+                    return;
+                }
+
+                failures++;
+                if (failures < this.app.config.map.tileErrorThreshold) return;
+                failures = 0;
+
+                if (definition.fallbackUrl && !usesFallback) {
+                    console.warn(`Tiles of ${definition.url} keep failing, switching to ${definition.fallbackUrl}`);
+                    usesFallback = true;
+
+                    // Same layer object with other tiles, so the layer switcher keeps working
+                    this.map.attributionControl?.removeAttribution(layer.getAttribution());
+                    layer.options.attribution = definition.fallbackAttribution || definition.attribution;
+                    this.map.attributionControl?.addAttribution(layer.getAttribution());
+                    layer.setUrl(definition.fallbackUrl);
+                } else {
+                    this.showOutline();
+                }
+            });
+        }
+
+        /**
+         * Create an overlay: tiles or the lines of a GeoJSON file (loaded when first shown)
+         * @param {Object} definition - Entry of CONFIG.map.overlays
+         * @returns {Object} Leaflet layer
+         */
+        createOverlay(definition) {
+            if (definition.url) {
+                // Above the base layer, whichever was added last
+                return L.tileLayer(definition.url, {
+                    attribution: definition.attribution,
+                    maxZoom: 18,
+                    zIndex: 10
+                });
+            }
+
+            const layer = L.geoJSON(null, {
+                style: { ...OVERLAY_LAYER_STYLE, ...definition.style },
+                interactive: false
+            });
+
+            layer.on('add', async () => {
+                if (layer.getLayers().length > 0) return;
+
+                try {
+                    layer.addData(await this.loadGeoJson(definition.geojsonUrl));
+                } catch (error) {
+                    console.error(`Could not load overlay ${definition.geojsonUrl}:`, error);
+                }
+            });
+            return layer;
+        }
+
+        /**
+         * Show a base layer
+         * @param {string|null} key - Key of CONFIG.map.baseLayers; unknown keys select the default layer
+         */
+        setBaseLayer(key) {
+            const activeKey = this.baseLayers[key] ? key : this.defaultBaseLayerKey;
+            if (!this.map || !activeKey || activeKey === this.baseLayerKey) return;
+
+            Object.values(this.baseLayers).forEach(layer => this.map.removeLayer(layer));
+            this.baseLayers[activeKey].addTo(this.map);
+            this.baseLayerKey = activeKey;
+        }
+
+        /**
+         * Show exactly the given overlays
+         * @param {Array<string>|null} keys - Keys of CONFIG.map.overlays, null for those marked `visible`
+         */
+        setOverlays(keys) {
+            if (!this.map) return;
+
+            const visible = keys || this.getDefaultOverlays();
+            Object.entries(this.overlays).forEach(([key, layer]) => {
+                if (visible.includes(key)) {
+                    layer.addTo(this.map);
+                } else {
+                    this.map.removeLayer(layer);
+                }
+            });
+        }
+
+        /**
+         * Overlays shown initially
+         * @returns {Array<string>} Overlay keys
+         */
+        getDefaultOverlays() {
+            const definitions = this.app.config.map.overlays || {};
+            return Object.keys(this.overlays).filter(key => definitions[key].visible);
+        }
+
+        /**
+         * Overlays currently shown
+         * @returns {Array<string>} Overlay keys
+         */
+        getActiveOverlays() {
+            return Object.keys(this.overlays).filter(key => this.map?.hasLayer(this.overlays[key]));
+        }
+
+        /**
+         * Show the Bundesland borders as a simple base map below the tiles,
+         * so the map is not blank when no tiles are available
+         */
+        async showOutline() {
+            if (this.outlineLayer || !this.map) return;
+
+            // Placeholder while loading, so repeated tile errors load the borders only once
+            this.outlineLayer = true;
+
+            // Own pane below the tile pane: tiles that do load cover the outline
+            const pane = this.map.getPane('agtech-outline') || this.map.createPane('agtech-outline');
+            pane.style.zIndex = 150;
+
+            try {
+                const geojson = await this.loadStateBoundaries();
+                if (!this.map) return;
+
+                this.outlineLayer = L.geoJSON(geojson, {
+                    pane: 'agtech-outline',
+                    interactive: false,
+                    style: OUTLINE_LAYER_STYLE,
+                    attribution: this.app.t('map.outlineAttribution')
+                }).addTo(this.map);
+                this.map.getContainer().classList.add('agtech-map-outline');
+            } catch (error) {
+                console.error('Could not load the outline of Germany:', error);
+                this.outlineLayer = null;
+            }
+        }
+
+        /**
+         * Initialize marker cluster group with mobile optimizations
+         */
+        initializeMarkerCluster() {
+            const clusterOptions = {
+                ...this.app.config.cluster,
+                maxClusterRadius: this.isMobile() ? 60 : this.app.config.cluster.maxRadius,
+                spiderfyOnMaxZoom: !this.isMobile(), // Disable spiderfy on mobile
+                zoomToBoundsOnClick: true,
+                showCoverageOnHover: !this.isMobile(),
+                iconCreateFunction: (cluster) => this.createClusterIcon(cluster),
+                // Mobile-specific cluster options
                 disableClusteringAtZoom: this.isMobile() ? 15 : null,
                 maxZoom: 18,
                 animate: !this.isMobile() || !window.matchMedia('(prefers-reduced-motion: reduce)').matches,
@@ -497,13 +2845,13 @@
          */
         setupEventListeners() {
             // Window resize handler
-            window.addEventListener('resize', this.debounce(() => {
+            this.app.listen(window, 'resize', this.debounce(() => {
                 this.handleResize();
             }, 250));
 
             // Orientation change for mobile
             if (this.isMobile()) {
-                window.addEventListener('orientationchange', () => {
+                this.app.listen(window, 'orientationchange', () => {
                     setTimeout(() => {
                         this.handleResize();
                         this.adjustForOrientation();
@@ -520,6 +2868,56 @@
                 this.onZoomEnd();
             });
 
+            // Fanned-out positions are pixel based, fold them back when the zoom changes
+            this.map.on('zoomstart click', () => {
+                this.unspiderfyGroup();
+            });
+
+            // The density surface is drawn for the current viewport, hide it while zooming
+            this.map.on('zoomstart', () => {
+                if (this.densityCanvas) this.densityCanvas.style.visibility = 'hidden';
+            });
+            this.map.on('moveend resize', () => {
+                this.updateDensityLayer();
+            });
+
+            // Keep the map view in the URL without adding history entries
+            this.map.on('moveend', this.debounce(() => {
+                this.app.urlStateComponent?.update({ push: false });
+            }, this.app.config.performance.debounceDelay));
+
+            // Layer switcher: remember the base layer, keep layers in the URL
+            this.map.on('baselayerchange', (event) => {
+                this.baseLayerKey = Object.keys(this.baseLayers).find(key => this.baseLayers[key] === event.layer) ||
+                    this.baseLayerKey;
+                this.app.urlStateComponent?.update({ push: false });
+            });
+            this.map.on('overlayadd overlayremove', () => {
+                this.app.urlStateComponent?.update({ push: false });
+            });
+
+            // Table and statistics follow the visible map area when requested
+            this.map.on('moveend', this.debounce(() => {
+                if (this.app.viewportOnly && this.app.data) {
+                    this.app.updateViewportViews();
+                }
+            }, this.app.config.performance.debounceDelay));
+
+            // Region drawing: press, drag and release while a drawing tool is active
+            this.map.on('mousedown', (event) => this.handleRegionPointer('start', event));
+            this.map.on('mousemove', (event) => this.handleRegionPointer('move', event));
+            this.map.on('mouseup', (event) => this.handleRegionPointer('end', event));
+            this.app.listen(document, 'keydown', (event) => {
+                if (event.key === 'Escape' && this.regionTool) {
+                    this.setRegionTool(null);
+                }
+            });
+
+            // Right-click starts a radius search (long press on touch devices, see setupTouchEvents)
+            this.map.on('contextmenu', (event) => {
+                this.handleLongPress(event);
+            });
+
             // Mobile-specific touch events
             if (this.isTouch()) {
                 this.setupTouchEvents();
@@ -558,7 +2956,7 @@
                     const count = childMarkers.length;
                     
                     // Optional: Show tooltip with count
-                    event.layer.bindTooltip(`${count} Organisationen`, {
+                    event.layer.bindTooltip(this.app.t('map.clusterCount', { count }), {
                         permanent: false,
                         direction: 'top'
                     }).openTooltip();
@@ -593,16 +2991,14 @@
         }
 
         /**
-         * Handle long press on mobile maps
-         * @param {Object} event - Touch event
+         * Handle long press on mobile maps and right-click on desktop: start a radius search there
+         * @param {Object} event - Leaflet touch or contextmenu event
          */
         handleLongPress(event) {
-            const { lat, lng } = event.latlng;
-            
-            // Optional: Show context menu or location info
-            console.log('Long press detected at:', lat, lng);
-            
-            // Could add functionality like "Add marker here" or "Get directions"
+            if (!event.latlng) return;
+
+            this.app.setProximity(event.latlng);
+            this.trackEvent('proximity_search', { source: 'map' });
         }
 
         /**
@@ -612,9 +3008,9 @@
         getInitialZoom() {
             if (this.isMobile()) {
                 return window.innerHeight > window.innerWidth ? 
-                    CONFIG.map.zoom.mobile : CONFIG.map.zoom.mobile + 1; // Landscape gets slightly more zoom
+                    this.app.config.map.zoom.mobile : this.app.config.map.zoom.mobile + 1; // Landscape gets slightly more zoom
             }
-            return CONFIG.map.zoom.default;
+            return this.app.config.map.zoom.default;
         }
 
         /**
@@ -657,7 +3053,7 @@
             const isLandscape = window.innerWidth > window.innerHeight;
             
             // Adjust map height if needed
-            const mapElement = document.getElementById('agtech-map');
+            const mapElement = this.app.getElement('map');
             if (mapElement) {
                 const newHeight = isLandscape ? '80vh' : '60vh';
                 mapElement.style.height = newHeight;
@@ -726,21 +3122,21 @@
             const innerRadius = radius * 0.65;
             const center = baseSize / 2;
 
-            // Determine dominant organization type
-            const typeCount = organizations.reduce((acc, org) => {
-                const type = org.OrganizationType || 'Startup';
-                acc[type] = (acc[type] || 0) + 1;
-                return acc;
-            }, {});
+            // Determine the dominant group of the active coloring mode (type by default)
+            const groupCount = new Map();
+            organizations.forEach(org => {
+                const group = this.app.getColorGroup(org);
+                groupCount.set(group, (groupCount.get(group) || 0) + 1);
+            });
 
-            const dominantType = Object.entries(typeCount)
+            const dominantGroup = [...groupCount.entries()]
                 .sort((a, b) => b[1] - a[1])[0][0];
 
-            // Create segments for other types
-            const otherTypes = { ...typeCount };
-            delete otherTypes[dominantType];
+            // Create segments for the other groups
+            const otherGroups = new Map(groupCount);
+            otherGroups.delete(dominantGroup);
             
-            const segments = this.calculateSegments(otherTypes, innerRadius, radius, center);
+            const segments = this.calculateSegments(otherGroups, innerRadius, radius, center);
             const svgPaths = this.generateSegmentPaths(segments);
 
             // Generate SVG with accessibility attributes
@@ -748,10 +3144,10 @@
                 <svg width="${baseSize}" height="${baseSize}" 
                     viewBox="0 0 ${baseSize} ${baseSize}"
                     role="img"
-                    aria-label="${count} Organisationen in diesem Bereich">
-                    <title>${count} Organisationen</title>
+                    aria-label="${this.app.t('map.clusterLabel', { count })}">
+                    <title>${this.app.t('map.clusterCount', { count })}</title>
                     <circle cx="${center}" cy="${center}" r="${innerRadius}"
-                        fill="${this.app.getTypeColor(dominantType)}"
+                        fill="${this.app.getGroupColor(dominantGroup)}"
                         stroke="white" stroke-width="2"/>
                     ${svgPaths}
                     <text x="${center}" y="${center}" text-anchor="middle"
@@ -773,24 +3169,24 @@
         }
 
         /**
-         * Calculate segment positions for multi-type markers
-         * @param {Object} otherTypes - Type counts excluding dominant type
+         * Calculate segment positions for multi-group markers
+         * @param {Map} otherGroups - Group counts excluding the dominant group
          * @param {number} innerRadius - Inner radius
          * @param {number} radius - Outer radius
          * @param {number} center - Center point
          * @returns {Array} Segment configurations
          */
-        calculateSegments(otherTypes, innerRadius, radius, center) {
+        calculateSegments(otherGroups, innerRadius, radius, center) {
             const segments = [];
-            const totalOthers = Object.values(otherTypes).reduce((sum, n) => sum + n, 0);
+            const totalOthers = [...otherGroups.values()].reduce((sum, n) => sum + n, 0);
             
             if (totalOthers === 0) return segments;
             
             let startAngle = 0;
-            for (const [type, value] of Object.entries(otherTypes)) {
+            for (const [group, value] of otherGroups) {
                 const angle = (value / totalOthers) * 360;
                 segments.push({
-                    type,
+                    group,
                     startAngle,
                     endAngle: startAngle + angle,
                     innerRadius,
@@ -810,7 +3206,7 @@
          */
         generateSegmentPaths(segments) {
             return segments.map(segment => {
-                const { type, startAngle, endAngle, innerRadius, radius, center } = segment;
+                const { group, startAngle, endAngle, innerRadius, radius, center } = segment;
                 
                 // Skip very small segments (< 10 degrees)
                 if (endAngle - startAngle < 10) return '';
@@ -835,7 +3231,7 @@
                             A ${radius} ${radius} 0 ${largeArc} 1 ${outerX2.toFixed(1)} ${outerY2.toFixed(1)} 
                             L ${innerX2.toFixed(1)} ${innerY2.toFixed(1)} 
                             A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${innerX1.toFixed(1)} ${innerY1.toFixed(1)} Z"
-                        fill="${this.app.getTypeColor(type)}"
+                        fill="${this.app.getGroupColor(group)}"
                         stroke="white"
                         stroke-width="1"/>`;
             }).join('');
@@ -847,7 +3243,7 @@
          * @returns {string} Location name
          */
         determineClusterLocation(organizations) {
-            let location = "verschiedenen Standorten";
+            let location = this.app.t('location.various');
             
             if (organizations.length > 0) {
                 const locationCount = {};
@@ -861,7 +3257,7 @@
                     .sort((a, b) => b[1] - a[1])[0];
                 
                 if (mostCommon && mostCommon[1] > 1) {
-                    location = mostCommon[0] + " und Umgebung";
+                    location = this.app.t('location.surroundings', { place: mostCommon[0] });
                 } else if (mostCommon) {
                     location = mostCommon[0];
                 }
@@ -873,15 +3269,22 @@
         /**
          * Add markers to the map
          * @param {Map} locationGroups - Map of coordinates to organizations
+         * @param {Object} options - Marker options
+         * @param {boolean} options.fitBounds - Whether to fit the map to the new markers
          */
-        addMarkers(locationGroups) {
+        addMarkers(locationGroups, { fitBounds = true } = {}) {
             if (!this.markerCluster) {
                 console.error('Marker cluster not initialized');
                 return;
             }
 
-            // Clear existing markers
+            // Clear existing markers and any pending bounds fit
+            this.unspiderfyGroup();
             this.markerCluster.clearLayers();
+            this.markersByLocation.clear();
+            this.highlightedMarker = null;
+            this.pulsingElement = null;
+            clearTimeout(this.fitBoundsTimeout);
 
             let markersAdded = 0;
             const totalMarkers = locationGroups.size;
@@ -898,7 +3301,7 @@
                     
                     const marker = L.marker([lat, lng], {
                         icon: this.createCustomMarker(orgs),
-                        alt: `${orgs.length} Organisationen`,
+                        alt: this.app.t('map.clusterCount', { count: orgs.length }),
                         keyboard: true,
                         riseOnHover: true
                     });
@@ -908,7 +3311,17 @@
                     
                     // Add click event with proper context
                     marker.on('click', (event) => {
-                        const location = orgs[0]?.Headquarter || 'diesem Standort';
+                        const location = orgs[0]?.Headquarter || this.app.t('location.here');
+
+                        // Zoomed in far enough: fan out co-located organizations (second click folds them back)
+                        if (orgs.length > 1 && this.map.getZoom() >= this.app.config.map.zoom.spiderfy) {
+                            if (this.spiderfied?.marker === marker) {
+                                this.unspiderfyGroup();
+                            } else {
+                                this.spiderfyGroup(marker);
+                            }
+                        }
+
                         this.app.detailComponent.show(orgs, location);
                         
                         // Track marker click
@@ -928,6 +3341,7 @@
 
                     // Add to cluster
                     this.markerCluster.addLayer(marker);
+                    this.markersByLocation.set(coords, marker);
                     markersAdded++;
                     
                 } catch (error) {
@@ -938,8 +3352,8 @@
             console.log(`Added ${markersAdded}/${totalMarkers} markers to map`);
             
             // Fit map to markers if we have any
-            if (markersAdded > 0) {
-                setTimeout(() => {
+            if (fitBounds && markersAdded > 0) {
+                this.fitBoundsTimeout = setTimeout(() => {
                     try {
                         const group = new L.featureGroup(this.markerCluster.getLayers());
                         if (group.getBounds().isValid()) {
@@ -964,21 +3378,30 @@
             legendControl.onAdd = () => {
                 const div = L.DomUtil.create('div', 'agtech-legend');
                 div.setAttribute('role', 'complementary');
-                div.setAttribute('aria-label', 'Kartenlegende');
-                
-                let html = '<h4 class="agtech-legend-title">Akteur-Typen</h4>';
-                
-                Object.entries(COLOR_SCHEMES.types).forEach(([type, color]) => {
-                    html += `
-                        <div class="agtech-legend-item" role="listitem">
-                            <div class="agtech-legend-color" 
-                                style="background: ${color}"
-                                aria-hidden="true"></div>
-                            <span>${type}</span>
-                        </div>`;
+                div.setAttribute('aria-label', this.app.t('legend.label'));
+
+                // Coloring mode switch, the entries below are re-rendered on every change
+                const selectId = `${this.app.idPrefix}-color-mode`;
+                div.innerHTML = `
+                    <label class="agtech-legend-mode" for="${selectId}">
+                        <span>${this.app.t('legend.colorBy')}</span>
+                        <select id="${selectId}" class="agtech-legend-select">
+                            ${Object.keys(COLOR_MODES).map(key =>
+                                `<option value="${key}">${this.app.t(`colorMode.${key}`)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="agtech-legend-entries"></div>
+                `;
+
+                this.colorModeSelect = div.querySelector('select');
+                this.colorModeSelect.value = this.app.colorMode;
+                this.colorModeSelect.addEventListener('change', () => {
+                    this.app.setColorMode(this.colorModeSelect.value);
+                    this.trackEvent('color_mode_change', { mode: this.colorModeSelect.value });
                 });
-                
-                div.innerHTML = html;
+
+                this.legendContainer = div.querySelector('.agtech-legend-entries');
+                this.renderLegend(this.legendContainer, this.app.filteredData);
                 
                 // Prevent map interactions when interacting with legend
                 L.DomEvent.disableClickPropagation(div);
@@ -996,757 +3419,3925 @@
         }
 
         /**
-         * Add map control buttons
+         * Render legend entries of the active coloring mode with counts for the given organizations
+         * @param {HTMLElement} container - Legend entries element
+         * @param {Array} organizations - Organizations currently shown on the map
          */
-        addMapControls() {
-            const controlsContainer = L.DomUtil.create('div', 'agtech-map-controls');
-            
-            // Navigation to table button (desktop only)
-            if (!this.isMobile()) {
-                const tableButton = L.DomUtil.create('button', 'agtech-control-btn', controlsContainer);
-                tableButton.innerHTML = 'Datensatz filtern';
-                tableButton.setAttribute('aria-label', 'Zur Datentabelle navigieren');
-                tableButton.setAttribute('type', 'button');
-                
-                tableButton.addEventListener('click', () => {
-                    this.app.scrollToElement('agtech-table-section');
-                    this.trackEvent('navigation_click', { target: 'table' });
-                });
+        renderLegend(container, organizations = []) {
+            if (this.colorModeSelect) {
+                this.colorModeSelect.disabled = Boolean(this.densityWeight);
+            }
 
-                // Add controls to map
-                const mapContainer = document.getElementById('agtech-map');
-                if (mapContainer) {
-                    mapContainer.appendChild(controlsContainer);
-                }
+            // Density view: color ramp instead of marker colors
+            if (this.densityWeight) {
+                const { gradient } = DENSITY_LAYER_STYLE;
+                container.innerHTML = `
+                    <h4 class="agtech-legend-title">${this.app.t('legend.density', { weight: this.app.t(`density.${this.densityWeight}`) })}</h4>
+                    <div class="agtech-density-scale" aria-hidden="true"
+                        style="background: linear-gradient(to right, transparent, ${gradient.join(', ')})"></div>
+                    <div class="agtech-density-scale-labels">
+                        <span>${this.app.t('legend.low')}</span>
+                        <span>${this.app.t('common.organizations', { count: organizations.length })}</span>
+                        <span>${this.app.t('legend.high')}</span>
+                    </div>
+                `;
+                return;
             }
+
+            const groupCount = new Map();
+            organizations.forEach(org => {
+                const group = this.app.getColorGroup(org);
+                groupCount.set(group, (groupCount.get(group) || 0) + 1);
+            });
+
+            const entries = [...this.app.getColorScale()].map(([group, color]) => ({ group, color }));
+            if (groupCount.has(null)) {
+                entries.push({ group: null, color: COLOR_SCHEMES.unknown });
+            }
+
+            let html = `<h4 class="agtech-legend-title">${this.app.t(`colorMode.${this.app.colorMode}.title`)}</h4>`;
+            html += '<div role="list">';
+
+            entries.forEach(({ group, color }) => {
+                const count = groupCount.get(group) || 0;
+                html += `
+                    <div class="agtech-legend-item${count === 0 ? ' empty' : ''}" role="listitem">
+                        <div class="agtech-legend-color" 
+                            style="background: ${color}"
+                            aria-hidden="true"></div>
+                        <span>${Utils.escapeHtml(this.app.getGroupLabel(group))}</span>
+                        <span class="agtech-legend-count">${count}</span>
+                    </div>`;
+            });
+
+            container.innerHTML = html + '</div>';
         }
 
         /**
-         * Toggle legend visibility
-         * @param {boolean} visible - Whether legend should be visible
+         * Re-render markers and legend after the coloring mode changed
          */
-        toggleLegend(visible) {
-            if (!this.legend) return;
-            
-            try {
-                if (visible && !this.map.hasLayer(this.legend)) {
-                    this.legend.addTo(this.map);
-                } else if (!visible && this.map.hasLayer(this.legend)) {
-                    this.map.removeControl(this.legend);
-                }
-            } catch (error) {
-                console.error('Error toggling legend:', error);
+        refreshColors() {
+            const spiderfiedOrg = this.spiderfied?.marker.organizationData[0];
+
+            this.addMarkers(this.app.locationGroups, { fitBounds: false });
+            this.updateLegend(this.app.filteredData);
+            this.updateColorModeSelect();
+
+            // Keep a fanned-out location open
+            const marker = spiderfiedOrg && this.getMarkerForOrganization(spiderfiedOrg);
+            if (marker && this.map.hasLayer(marker)) {
+                this.spiderfyGroup(marker);
             }
         }
 
         /**
-         * Get current map bounds
-         * @returns {Object} Map bounds
+         * Sync the coloring mode select with the app state
          */
-        getBounds() {
-            return this.map ? this.map.getBounds() : null;
+        updateColorModeSelect() {
+            if (this.colorModeSelect) {
+                this.colorModeSelect.value = this.app.colorMode;
+            }
         }
 
         /**
-         * Get current map center
-         * @returns {Object} Map center coordinates
+         * Update legend counts after the displayed organizations changed
+         * @param {Array} organizations - Organizations currently shown on the map
          */
-        getCenter() {
-            return this.map ? this.map.getCenter() : null;
+        updateLegend(organizations) {
+            if (this.legendContainer) {
+                this.renderLegend(this.legendContainer, organizations);
+            }
         }
 
         /**
-         * Get current zoom level
-         * @returns {number} Current zoom level
+         * Load the bundled Bundesland boundaries (cached after the first request)
+         * @returns {Promise<Object>} GeoJSON FeatureCollection
          */
-        getZoom() {
-            return this.map ? this.map.getZoom() : 0;
+        loadStateBoundaries() {
+            return this.loadGeoJson(this.app.config.data.statesGeoJsonUrl);
         }
 
         /**
-         * Pan map to specific coordinates
-         * @param {number} lat - Latitude
-         * @param {number} lng - Longitude
-         * @param {number} zoom - Optional zoom level
+         * Load a GeoJSON file (cached after the first request)
+         * @param {string} url - File URL
+         * @returns {Promise<Object>} GeoJSON object
          */
-        panTo(lat, lng, zoom = null) {
-            if (!this.map) return;
-            
+        loadGeoJson(url) {
+            if (!this.geojsonCache.has(url)) {
+                this.geojsonCache.set(url, fetch(url)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        // Allow a retry on the next request
+                        this.geojsonCache.delete(url);
+                        throw error;
+                    }));
+            }
+            return this.geojsonCache.get(url);
+        }
+
+        /**
+         * Show or hide the Bundesland choropleth layer
+         * @param {boolean} visible - Whether the layer should be visible (toggles if omitted)
+         * @returns {Promise<void>}
+         */
+        async toggleStateLayer(visible = !this.stateLayerVisible) {
+            this.stateLayerVisible = visible;
+            this.updateStateLayerButton();
+
+            if (!visible) {
+                if (this.stateLayer) {
+                    this.map.removeLayer(this.stateLayer);
+                }
+                return;
+            }
+
             try {
-                if (zoom !== null) {
-                    this.map.setView([lat, lng], zoom);
-                } else {
-                    this.map.panTo([lat, lng]);
+                const geojson = await this.loadStateBoundaries();
+
+                // Toggled off again while loading
+                if (!this.stateLayerVisible || !this.map) return;
+
+                if (!this.stateLayer) {
+                    this.stateLayer = this.createStateLayer(geojson);
                 }
+                this.stateLayer.addTo(this.map);
+                this.updateStateLayer();
             } catch (error) {
-                console.error('Error panning map:', error);
+                console.error('Could not load Bundesland boundaries:', error);
+                this.stateLayerVisible = false;
+                this.updateStateLayerButton();
             }
         }
 
         /**
-         * Track events for analytics (optional)
-         * @param {string} event - Event name
-         * @param {Object} data - Event data
+         * Create the GeoJSON layer for the Bundesland choropleth
+         * @param {Object} geojson - FeatureCollection with a `name` property per state
+         * @returns {Object} Leaflet GeoJSON layer
          */
-        trackEvent(event, data) {
-            // Optional: Integrate with analytics service
-            if (window.gtag) {
-                window.gtag('event', event, {
-                    custom_parameter_1: JSON.stringify(data)
-                });
-            }
-            
-            console.log('Map event:', event, data);
+        createStateLayer(geojson) {
+            return L.geoJSON(geojson, {
+                style: feature => this.getStateStyle(feature.properties.name),
+                onEachFeature: (feature, layer) => {
+                    const name = feature.properties.name;
+
+                    layer.bindTooltip('', { sticky: true, direction: 'top' });
+
+                    layer.on('click', () => {
+                        this.app.filterComponent.toggleStateFilter(name);
+                        this.trackEvent('state_click', { state: name });
+                    });
+
+                    layer.on('mouseover', () => {
+                        layer.setStyle({ weight: 3, color: '#333' });
+                    });
+
+                    layer.on('mouseout', () => {
+                        layer.setStyle(this.getStateStyle(name));
+                    });
+                }
+            });
         }
 
         /**
-         * Debounce utility function
-         * @param {Function} func - Function to debounce
-         * @param {number} wait - Wait time in milliseconds
-         * @returns {Function} Debounced function
+         * Get the choropleth style for a Bundesland based on the current counts
+         * @param {string} state - Bundesland name
+         * @returns {Object} Leaflet path style
          */
-        debounce(func, wait) {
-            let timeout;
-            return function executedFunction(...args) {
-                const later = () => {
-                    clearTimeout(timeout);
-                    func(...args);
-                };
-                clearTimeout(timeout);
-                timeout = setTimeout(later, wait);
+        getStateStyle(state) {
+            const count = this.stateCounts[state] || 0;
+            const maxCount = Math.max(1, ...Object.values(this.stateCounts));
+            const isSelected = this.app.activeFilters.states.has(state);
+            const { color, emptyColor, minOpacity, maxOpacity } = STATE_LAYER_STYLE;
+
+            return {
+                color: isSelected ? '#333' : 'white',
+                weight: isSelected ? 3 : 1,
+                fillColor: count > 0 ? color : emptyColor,
+                // Square root scale keeps small states visible next to Berlin
+                fillOpacity: count > 0 ?
+                    minOpacity + (maxOpacity - minOpacity) * Math.sqrt(count / maxCount) :
+                    minOpacity
             };
         }
 
         /**
-         * Destroy map component and cleanup
+         * Recolor the Bundesland layer and tooltips with the current filter counts
          */
-        destroy() {
-            try {
-                if (this.markerCluster) {
-                    this.markerCluster.clearLayers();
-                }
-                
-                if (this.map) {
-                    this.map.remove();
-                }
-                
-                this.map = null;
-                this.markerCluster = null;
-                this.legend = null;
-                this.isInitialized = false;
-                
-                console.log('MapComponent destroyed successfully');
-            } catch (error) {
-                console.error('Error destroying MapComponent:', error);
-            }
+        updateStateLayer() {
+            if (!this.stateLayer || !this.stateLayerVisible) return;
+
+            this.stateCounts = this.app.getStateCounts();
+
+            this.stateLayer.eachLayer(layer => {
+                const name = layer.feature.properties.name;
+                const count = this.stateCounts[name] || 0;
+
+                layer.setStyle(this.getStateStyle(name));
+                layer.setTooltipContent(`<strong>${name}</strong><br>${this.app.t('common.organizations', { count })}`);
+            });
         }
-    }
 
-    /**
-     * Detail panel component for showing organization information
-     */
-    class DetailComponent {
-        constructor(app) {
-            this.app = app;
-            this.panel = document.getElementById('agtech-detail-panel');
-            this.title = document.getElementById('agtech-detail-title');
-            this.counter = document.getElementById('agtech-org-counter');
-            this.content = document.getElementById('agtech-detail-content');
-            this.infoTooltip = document.getElementById('agtech-info-tooltip');
+        /**
+         * Reflect the layer visibility on the toggle button
+         */
+        updateStateLayerButton() {
+            if (!this.stateLayerButton) return;
 
-            this.setupEventListeners();
+            this.stateLayerButton.innerHTML = this.stateLayerVisible ?
+                this.app.t('map.hideStates') : this.app.t('map.showStates');
+            this.stateLayerButton.setAttribute('aria-pressed', String(this.stateLayerVisible));
         }
 
-        setupEventListeners() {
-            const closeBtn = document.getElementById('agtech-close-detail');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.hide());
+        /**
+         * Switch between the cluster view and the density view
+         * @param {string|null} weight - Key of DENSITY_WEIGHTS, or null for the cluster view
+         */
+        setDensityView(weight) {
+            const densityWeight = Object.keys(DENSITY_WEIGHTS).includes(weight) ? weight : null;
+            if (!this.map || densityWeight === this.densityWeight) return;
+
+            const wasVisible = this.densityWeight !== null;
+            this.densityWeight = densityWeight;
+
+            if (densityWeight && !wasVisible) {
+                this.unspiderfyGroup();
+                this.highlightMarker(null);
+                this.map.removeLayer(this.markerCluster);
+
+                this.densityCanvas = L.DomUtil.create('canvas', 'agtech-density-layer');
+                this.map.getPanes().overlayPane.appendChild(this.densityCanvas);
+            } else if (!densityWeight) {
+                L.DomUtil.remove(this.densityCanvas);
+                this.densityCanvas = null;
+                this.map.addLayer(this.markerCluster);
             }
 
-            // Touch-Events für Mobile
-            if (this.panel) {
-                let startY = 0;
-                let currentY = 0;
-                let isDragging = false;
+            this.updateDensityLayer();
+            this.updateDensityControls();
+            this.updateLegend(this.app.filteredData);
+        }
 
-                // Swipe-to-close für Mobile
-                this.panel.addEventListener('touchstart', (e) => {
-                    startY = e.touches[0].clientY;
-                    isDragging = true;
-                }, { passive: true });
+        /**
+         * Redraw the density surface for the current viewport and filtered organizations
+         */
+        updateDensityLayer() {
+            const canvas = this.densityCanvas;
+            if (!canvas || !this.densityWeight) return;
+
+            const size = this.map.getSize();
+            const { radius, cellSize, opacity } = this.app.config.density;
+
+            // The canvas covers the viewport; redrawn after every move
+            canvas.width = size.x;
+            canvas.height = size.y;
+            canvas.style.visibility = '';
+            L.DomUtil.setPosition(canvas, this.map.containerPointToLayerPoint([0, 0]));
+
+            const context = canvas.getContext('2d');
+            if (!context) return;
+
+            const cols = Math.ceil(size.x / cellSize);
+            const rows = Math.ceil(size.y / cellSize);
+            const weight = DENSITY_WEIGHTS[this.densityWeight].weight;
+
+            const points = this.app.filteredData
+                .filter(org => org.latitude !== null)
+                .map(org => ({
+                    point: this.map.latLngToContainerPoint([org.latitude, org.longitude]).divideBy(cellSize),
+                    weight: weight(org)
+                }))
+                .filter(({ weight }) => weight > 0);
+
+            const { values, max } = this.computeDensityGrid(points, cols, rows, radius / cellSize);
+            if (max === 0) return;
+
+            // Color the grid at cell resolution, then scale it up smoothly
+            const grid = document.createElement('canvas');
+            grid.width = cols;
+            grid.height = rows;
+            const gridContext = grid.getContext('2d');
+            const image = gridContext.createImageData(cols, rows);
+            const colors = this.getDensityColors(opacity);
+
+            values.forEach((value, index) => {
+                const color = colors[Math.round((value / max) * 255)];
+                image.data.set(color, index * 4);
+            });
 
-                this.panel.addEventListener('touchmove', (e) => {
-                    if (!isDragging) return;
-                    currentY = e.touches[0].clientY;
+            gridContext.putImageData(image, 0, 0);
+            context.imageSmoothingEnabled = true;
+            context.drawImage(grid, 0, 0, cols * cellSize, rows * cellSize);
+        }
 
-                    // Nur nach unten swipen erlauben
-                    const deltaY = currentY - startY;
-                    if (deltaY > 0) {
-                        this.panel.style.transform = `translateY(${deltaY}px)`;
+        /**
+         * Gaussian kernel density estimate on a grid
+         * @param {Array<{point: L.Point, weight: number}>} points - Points in grid coordinates
+         * @param {number} cols - Grid columns
+         * @param {number} rows - Grid rows
+         * @param {number} bandwidth - Kernel bandwidth (standard deviation) in grid cells
+         * @returns {{values: Float32Array, max: number}} Density per cell (row-major) and its maximum
+         */
+        computeDensityGrid(points, cols, rows, bandwidth) {
+            const values = new Float32Array(cols * rows);
+            const reach = Math.ceil(bandwidth * 3);
+            const factor = -1 / (2 * bandwidth * bandwidth);
+            let max = 0;
+
+            points.forEach(({ point, weight }) => {
+                // Points outside the viewport still contribute to cells near the edge
+                const minX = Math.max(0, Math.floor(point.x - reach));
+                const maxX = Math.min(cols - 1, Math.ceil(point.x + reach));
+                const minY = Math.max(0, Math.floor(point.y - reach));
+                const maxY = Math.min(rows - 1, Math.ceil(point.y + reach));
+
+                // The Gaussian kernel is separable: precompute the horizontal factors once per point
+                const kernelX = [];
+                for (let x = minX; x <= maxX; x++) {
+                    kernelX.push(Math.exp((x - point.x) ** 2 * factor));
+                }
+
+                for (let y = minY; y <= maxY; y++) {
+                    const rowWeight = weight * Math.exp((y - point.y) ** 2 * factor);
+                    for (let x = minX; x <= maxX; x++) {
+                        const index = y * cols + x;
+                        values[index] += rowWeight * kernelX[x - minX];
+                        if (values[index] > max) max = values[index];
                     }
-                }, { passive: true });
+                }
+            });
 
-                this.panel.addEventListener('touchend', () => {
-                    if (!isDragging) return;
-                    isDragging = false;
+            return { values, max };
+        }
 
-                    const deltaY = currentY - startY;
+        /**
+         * Lookup table of 256 RGBA colors along the density gradient
+         * @param {number} opacity - Maximum opacity
+         * @returns {Array<Array<number>>} RGBA per density step
+         */
+        getDensityColors(opacity) {
+            const { gradient, fadeBelow } = DENSITY_LAYER_STYLE;
 
-                    // Wenn mehr als 100px nach unten geswiped, Panel schließen
-                    if (deltaY > 100) {
-                        this.hide();
-                    } else {
-                        // Zurück zur ursprünglichen Position
-                        this.panel.style.transform = 'translateY(0)';
-                    }
-                }, { passive: true });
-            }
+            return Array.from({ length: 256 }, (_, step) => {
+                const t = step / 255;
+                const position = t * (gradient.length - 1);
+                const index = Math.min(gradient.length - 2, Math.floor(position));
+                const hex = Utils.interpolateColor(gradient[index], gradient[index + 1], position - index);
+                const alpha = opacity * Math.min(1, t / fadeBelow);
 
-            // Escape-Key Handler
-            document.addEventListener('keydown', (event) => {
-                if (event.key === 'Escape' && this.panel.classList.contains('visible')) {
-                    this.hide();
-                }
+                return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(Math.round(alpha * 255));
             });
         }
 
-        show(organizations, location) {
-            this.updateTitle(organizations.length, location);
-            this.renderOrganizations(organizations);
+        /**
+         * Reflect the density view on its toggle button and weighting select
+         */
+        updateDensityControls() {
+            if (!this.densityButton) return;
+
+            this.densityButton.innerHTML = this.densityWeight ? this.app.t('map.showClusters') : this.app.t('map.showDensity');
+            this.densityButton.setAttribute('aria-pressed', String(Boolean(this.densityWeight)));
+            this.densityWeightSelect.hidden = !this.densityWeight;
+            if (this.densityWeight) {
+                this.densityWeightSelect.value = this.densityWeight;
+            }
+        }
 
-            // Panel anzeigen
-            this.panel.classList.add('visible');
-            this.panel.scrollTop = 0;
-            this.content.scrollTop = 0;
+        /**
+         * Draw the circle of the active radius search, or remove it
+         */
+        updateProximityLayer() {
+            if (!this.map) return;
 
-            // Reset transform (falls durch Swipe verändert)
-            this.panel.style.transform = 'translateY(0)';
+            if (this.proximityLayer) {
+                this.map.removeLayer(this.proximityLayer);
+                this.proximityLayer = null;
+            }
 
-            // Mobile-spezifische Anpassungen
-            if (this.isMobile()) {
-                // Info-Tooltip verstecken
-                if (this.infoTooltip) {
-                    this.infoTooltip.style.display = 'none';
-                }
+            const proximity = this.app.activeFilters.proximity;
+            if (!proximity) return;
 
-                // Body-Scroll verhindern (iOS Safari Fix)
-                document.body.style.overflow = 'hidden';
+            const center = [proximity.lat, proximity.lng];
+            const count = this.app.filteredData.length;
 
-                // Viewport-Meta für bessere Mobile-Darstellung
-                this.updateViewportMeta();
+            const centerMarker = L.circleMarker(center, {
+                ...PROXIMITY_LAYER_STYLE,
+                radius: 6,
+                dashArray: null,
+                fillOpacity: 1
+            }).bindTooltip(this.app.t('proximity.count', { count, area: this.app.getProximityTitle(proximity) }), {
+                direction: 'top'
+            });
+            centerMarker.on('click', (event) => {
+                L.DomEvent.stopPropagation(event);
+                this.app.showProximityList();
+            });
+
+            this.proximityLayer = L.layerGroup([
+                L.circle(center, { ...PROXIMITY_LAYER_STYLE, radius: proximity.radius * 1000, interactive: false }),
+                centerMarker
+            ]).addTo(this.map);
+        }
+
+        /**
+         * Fit the map to the circle of the active radius search
+         */
+        fitProximity() {
+            const proximity = this.app.activeFilters.proximity;
+            if (!this.map || !proximity) return;
+
+            const bounds = L.latLng(proximity.lat, proximity.lng).toBounds(proximity.radius * 2000);
+            this.map.fitBounds(bounds, { padding: [20, 20] });
+        }
+
+        /**
+         * Activate a region drawing tool; activating the active tool again cancels drawing
+         * @param {string|null} tool - 'rectangle', 'polygon' or null
+         */
+        setRegionTool(tool) {
+            if (!this.map) return;
+
+            this.regionTool = tool && tool !== this.regionTool ? tool : null;
+            this.regionDraft = null;
+
+            // Dragging would move the map instead of drawing
+            if (this.regionTool) {
+                this.map.dragging.disable();
             } else {
-                // Desktop: Legend verstecken
-                if (window.innerWidth >= 768) {
-                    this.app.mapComponent.toggleLegend(false);
-                }
+                this.map.dragging.enable();
             }
+            this.map.getContainer().classList.toggle('agtech-drawing', Boolean(this.regionTool));
 
-            // Fokus auf Panel für Accessibility
-            this.panel.focus();
+            this.updateRegionLayer();
+            this.updateRegionControls();
         }
 
-        hide() {
-            this.panel.classList.remove('visible');
-            this.panel.style.transform = 'translateY(0)'; // Reset transform
+        /**
+         * Draw the region while the mouse button is held down
+         * @param {string} phase - 'start', 'move' or 'end'
+         * @param {Object} event - Leaflet mouse event
+         */
+        handleRegionPointer(phase, event) {
+            if (!this.regionTool) return;
 
-            // Mobile-spezifische Cleanup
-            if (this.isMobile()) {
-                // Info-Tooltip wieder anzeigen
-                if (this.infoTooltip) {
-                    this.infoTooltip.style.display = 'flex';
+            if (phase === 'start') {
+                this.regionDraft = [event.latlng];
+            } else if (!this.regionDraft) {
+                return;
+            } else if (this.regionTool === 'rectangle') {
+                this.regionDraft = [this.regionDraft[0], event.latlng];
+            } else {
+                // Skip points closer than a few pixels to the previous one
+                const last = this.regionDraft[this.regionDraft.length - 1];
+                if (this.map.latLngToContainerPoint(last).distanceTo(event.containerPoint) >= 5) {
+                    this.regionDraft.push(event.latlng);
                 }
+            }
 
-                // Body-Scroll wieder aktivieren
-                document.body.style.overflow = '';
+            if (phase === 'end') {
+                this.finishRegion();
             } else {
-                // Desktop: Legend wieder anzeigen
-                if (window.innerWidth >= 768) {
-                    this.app.mapComponent.toggleLegend(true);
-                }
+                this.updateRegionLayer();
             }
         }
 
-        isMobile() {
-            return window.innerWidth <= 768;
+        /**
+         * Turn the drawn shape into a region and show the organizations inside it
+         */
+        finishRegion() {
+            const ring = this.getRegionRing(this.regionDraft);
+            this.setRegionTool(null);
+            if (!ring) return;
+
+            this.regionSelection = ring;
+            this.updateRegionLayer();
+            this.updateRegionControls();
+
+            const organizations = this.app.selectRegion(ring);
+            this.trackEvent('region_select', { organization_count: organizations.length });
         }
 
-        updateViewportMeta() {
-            // Viewport-Meta für bessere Mobile-Performance anpassen
-            let viewport = document.querySelector('meta[name="viewport"]');
-            if (viewport) {
-                viewport.setAttribute('content',
-                    'width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no'
-                );
+        /**
+         * Convert drawn points into a ring of [lng, lat] positions
+         * @param {Array<L.LatLng>|null} points - Two corners of a rectangle or the points of a lasso
+         * @returns {Array<Array<number>>|null} Ring, null if the shape is too small
+         */
+        getRegionRing(points) {
+            if (!points) return null;
+
+            if (this.regionTool === 'rectangle') {
+                const bounds = L.latLngBounds(points);
+                if (points.length < 2 || bounds.getNorth() === bounds.getSouth() || bounds.getEast() === bounds.getWest()) {
+                    return null;
+                }
+                return [bounds.getSouthWest(), bounds.getSouthEast(), bounds.getNorthEast(), bounds.getNorthWest()]
+                    .map(({ lat, lng }) => [lng, lat]);
             }
+
+            return points.length >= 3 ? points.map(({ lat, lng }) => [lng, lat]) : null;
         }
 
-        updateTitle(count, location) {
-            if (this.counter) {
-                this.counter.textContent = count;
+        /**
+         * Draw the region being drawn, the selected region or the region filter
+         */
+        updateRegionLayer() {
+            if (!this.map) return;
+
+            if (this.regionLayer) {
+                this.map.removeLayer(this.regionLayer);
+                this.regionLayer = null;
             }
 
-            if (this.title) {
-                // Mobile: Kompaktere Darstellung
-                if (this.isMobile()) {
-                    this.title.innerHTML = `
-                    <span class="agtech-org-counter">${count}</span>
-                    <div style="text-align: center;">
-                        <div style="font-size: 0.9rem;">Akteure in</div>
-                        <div style="font-size: 1rem; font-weight: 600;">${location}</div>
-                    </div>
-                `;
-                } else {
-                    // Desktop: Original Layout
-                    const locationText = document.createElement('span');
-                    locationText.className = 'location-text';
-                    locationText.textContent = `Akteure in ${location}`;
+            const draft = this.regionDraft && this.regionTool === 'rectangle' && this.regionDraft.length === 2 ?
+                L.latLngBounds(this.regionDraft) : null;
+            const ring = this.regionSelection || this.app.activeFilters.region;
+
+            if (draft) {
+                this.regionLayer = L.rectangle(draft, { ...REGION_LAYER_STYLE.selection, interactive: false });
+            } else if (this.regionDraft) {
+                this.regionLayer = L.polygon(this.regionDraft, { ...REGION_LAYER_STYLE.selection, interactive: false });
+            } else if (ring) {
+                const style = this.regionSelection ? REGION_LAYER_STYLE.selection : REGION_LAYER_STYLE.filter;
+                this.regionLayer = L.polygon(ring.map(([lng, lat]) => [lat, lng]), { ...style, interactive: false });
+            }
 
-                    this.title.innerHTML = '';
-                    this.title.appendChild(this.counter);
-                    this.title.appendChild(locationText);
+            this.regionLayer?.addTo(this.map);
+            this.updateRegionControls();
+        }
+
+        /**
+         * Remove the selected region and the region filter
+         */
+        clearRegion() {
+            this.regionSelection = null;
+            if (this.app.activeFilters.region) {
+                this.app.setRegion(null);
+            } else {
+                this.updateRegionLayer();
+            }
+        }
+
+        /**
+         * Reflect drawing tool and region state on the control buttons
+         */
+        updateRegionControls() {
+            const { rectangle, polygon, apply, clear } = this.regionButtons;
+            if (!rectangle) return;
+
+            rectangle.setAttribute('aria-pressed', String(this.regionTool === 'rectangle'));
+            polygon.setAttribute('aria-pressed', String(this.regionTool === 'polygon'));
+            apply.hidden = !this.regionSelection;
+            clear.hidden = !this.regionSelection && !this.app.activeFilters.region;
+        }
+
+        /**
+         * Add map control buttons
+         */
+        addMapControls() {
+            const controlsContainer = L.DomUtil.create('div', 'agtech-map-controls');
+            
+            // Navigation to table button (desktop only)
+            if (!this.isMobile()) {
+                const tableButton = L.DomUtil.create('button', 'agtech-control-btn', controlsContainer);
+                tableButton.innerHTML = this.app.t('map.filterData');
+                tableButton.setAttribute('aria-label', this.app.t('map.toTable'));
+                tableButton.setAttribute('type', 'button');
+                
+                tableButton.addEventListener('click', () => {
+                    this.app.scrollToElement('table-section');
+                    this.trackEvent('navigation_click', { target: 'table' });
+                });
+
+                // Bundesland choropleth toggle
+                const stateButton = L.DomUtil.create('button', 'agtech-control-btn', controlsContainer);
+                stateButton.innerHTML = this.app.t('map.showStates');
+                stateButton.setAttribute('aria-pressed', 'false');
+                stateButton.setAttribute('type', 'button');
+                this.stateLayerButton = stateButton;
+
+                stateButton.addEventListener('click', () => {
+                    this.toggleStateLayer();
+                    this.trackEvent('layer_toggle', { layer: 'states' });
+                });
+
+                // Density view toggle and its weighting
+                const densityButton = L.DomUtil.create('button', 'agtech-control-btn', controlsContainer);
+                densityButton.setAttribute('type', 'button');
+                this.densityButton = densityButton;
+
+                densityButton.addEventListener('click', () => {
+                    this.setDensityView(this.densityWeight ? null : (this.densityWeightSelect.value || 'count'));
+                    this.app.urlStateComponent.update({ push: true });
+                    this.trackEvent('layer_toggle', { layer: 'density' });
+                });
+
+                const weightSelect = L.DomUtil.create('select', 'agtech-control-select', controlsContainer);
+                weightSelect.setAttribute('aria-label', this.app.t('map.densityWeight'));
+                weightSelect.innerHTML = Object.keys(DENSITY_WEIGHTS).map(key =>
+                    `<option value="${key}">${this.app.t('map.weightedBy', { weight: this.app.t(`density.${key}`) })}</option>`).join('');
+                this.densityWeightSelect = weightSelect;
+
+                weightSelect.addEventListener('change', () => {
+                    this.setDensityView(weightSelect.value);
+                    this.app.urlStateComponent.update({ push: true });
+                });
+
+                this.updateDensityControls();
+
+                // Region selection: drawing tools, then apply the drawn region as filter or remove it
+                const regionTools = L.DomUtil.create('div', 'agtech-control-group', controlsContainer);
+                ['rectangle', 'polygon', 'apply', 'clear'].forEach(key => {
+                    const button = L.DomUtil.create('button', 'agtech-control-btn', regionTools);
+                    button.setAttribute('type', 'button');
+                    button.setAttribute('title', this.app.t(`region.${key}.title`));
+                    button.innerHTML = this.app.t(`region.${key}`);
+                    this.regionButtons[key] = button;
+                });
+
+                this.regionButtons.rectangle.addEventListener('click', () => this.setRegionTool('rectangle'));
+                this.regionButtons.polygon.addEventListener('click', () => this.setRegionTool('polygon'));
+                this.regionButtons.apply.addEventListener('click', () => {
+                    const region = this.regionSelection;
+                    this.regionSelection = null;
+                    this.app.setRegion(region);
+                    this.trackEvent('region_filter', { points: region.length });
+                });
+                this.regionButtons.clear.addEventListener('click', () => this.clearRegion());
+
+                this.updateRegionControls();
+
+                L.DomEvent.disableClickPropagation(controlsContainer);
+
+                // Add controls to map
+                const mapContainer = this.app.getElement('map');
+                if (mapContainer) {
+                    mapContainer.appendChild(controlsContainer);
                 }
             }
         }
 
-        renderOrganizations(organizations) {
-            if (!this.content) return;
+        /**
+         * Toggle legend visibility
+         * @param {boolean} visible - Whether legend should be visible
+         */
+        toggleLegend(visible) {
+            if (!this.legend) return;
+            
+            try {
+                if (visible && !this.map.hasLayer(this.legend)) {
+                    this.legend.addTo(this.map);
+                } else if (!visible && this.map.hasLayer(this.legend)) {
+                    this.map.removeControl(this.legend);
+                }
+            } catch (error) {
+                console.error('Error toggling legend:', error);
+            }
+        }
+
+        /**
+         * Get current map bounds
+         * @returns {Object} Map bounds
+         */
+        getBounds() {
+            return this.map ? this.map.getBounds() : null;
+        }
+
+        /**
+         * Get current map center
+         * @returns {Object} Map center coordinates
+         */
+        getCenter() {
+            return this.map ? this.map.getCenter() : null;
+        }
+
+        /**
+         * Get current zoom level
+         * @returns {number} Current zoom level
+         */
+        getZoom() {
+            return this.map ? this.map.getZoom() : 0;
+        }
+
+        /**
+         * Pan map to specific coordinates
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {number} zoom - Optional zoom level
+         */
+        panTo(lat, lng, zoom = null) {
+            if (!this.map) return;
+            
+            try {
+                if (zoom !== null) {
+                    this.map.setView([lat, lng], zoom);
+                } else {
+                    this.map.panTo([lat, lng]);
+                }
+            } catch (error) {
+                console.error('Error panning map:', error);
+            }
+        }
+
+        /**
+         * Get the marker showing an organization
+         * @param {Object} org - Organization data
+         * @returns {L.Marker|null} Marker or null if the organization is not on the map
+         */
+        getMarkerForOrganization(org) {
+            if (org.latitude === null || org.longitude === null) return null;
+            return this.markersByLocation.get(`${org.latitude},${org.longitude}`) || null;
+        }
+
+        /**
+         * Bring an organization into view: close open spiderfied clusters, zoom into the
+         * cluster containing its marker until the marker is visible, pan to it and highlight it
+         * @param {Object} org - Organization data
+         */
+        focusOrganization(org) {
+            if (!this.map || org.latitude === null || org.longitude === null) return;
+
+            clearTimeout(this.fitBoundsTimeout);
+            const marker = this.getMarkerForOrganization(org);
+
+            // Not on the map (e.g. filtered out) or density view: just center the location
+            if (!marker || this.densityWeight) {
+                this.map.setView([org.latitude, org.longitude], this.app.config.map.zoom.focus);
+                return;
+            }
+
+            this.markerCluster.unspiderfy();
+            this.markerCluster.zoomToShowLayer(marker, () => {
+                this.panTo(org.latitude, org.longitude);
+
+                // Co-located group: fan it out and highlight the organization's own marker
+                if (marker.organizationData.length > 1) {
+                    this.spiderfyGroup(marker);
+                    this.highlightMarker(this.spiderfied.markers.get(org.IdNr) || marker);
+                } else {
+                    this.highlightMarker(marker);
+                }
+            });
+        }
+
+        /**
+         * Replace a co-located group marker by one marker per organization, placed radially
+         * around the location (spiral for large groups) and connected to it by a leg
+         * @param {L.Marker} marker - Group marker
+         */
+        spiderfyGroup(marker) {
+            this.unspiderfyGroup();
+
+            const orgs = marker.organizationData;
+            const center = marker.getLatLng();
+            const centerPoint = this.map.latLngToLayerPoint(center);
+            const groupRadius = (marker.options.icon.options.iconSize?.[0] || 32) / 2;
+            const positions = this.getFanOutPositions(orgs.length, centerPoint, groupRadius);
+
+            const layer = L.layerGroup();
+            const markers = new Map();
+
+            orgs.forEach((org, index) => {
+                const latLng = this.map.layerPointToLatLng(positions[index]);
+
+                L.polyline([center, latLng], {
+                    color: '#555',
+                    weight: 1.5,
+                    opacity: 0.6,
+                    interactive: false
+                }).addTo(layer);
+
+                const orgMarker = L.marker(latLng, {
+                    icon: this.createOrganizationIcon(org),
+                    alt: org.OrganizationName,
+                    keyboard: true,
+                    riseOnHover: true,
+                    zIndexOffset: 1000
+                });
+                orgMarker.organizationData = [org];
+                orgMarker.bindTooltip(Utils.escapeHtml(org.OrganizationName), { direction: 'top', offset: [0, -10] });
+
+                orgMarker.on('click', () => {
+                    this.highlightMarker(orgMarker);
+                    this.app.detailComponent.show([org], org.Headquarter || org.OrganizationName);
+                });
+                orgMarker.on('keypress', (event) => {
+                    if (event.originalEvent.key === 'Enter' || event.originalEvent.key === ' ') {
+                        orgMarker.fire('click');
+                    }
+                });
+
+                markers.set(org.IdNr, orgMarker.addTo(layer));
+            });
+
+            layer.addTo(this.map);
+            marker.setOpacity(0.4);
+            this.spiderfied = { marker, layer, markers };
+        }
+
+        /**
+         * Fold a fanned-out group back into its summary marker
+         */
+        unspiderfyGroup() {
+            if (!this.spiderfied) return;
+
+            const { marker, layer, markers } = this.spiderfied;
+            if ([...markers.values()].includes(this.highlightedMarker)) {
+                this.highlightMarker(null);
+            }
+
+            this.map?.removeLayer(layer);
+            marker.setOpacity(1);
+            this.spiderfied = null;
+        }
+
+        /**
+         * Calculate fan-out positions around a center point (same layout idea as markercluster's spiderfy)
+         * @param {number} count - Number of markers
+         * @param {L.Point} center - Center in layer pixels
+         * @param {number} innerRadius - Radius of the group marker, legs start outside of it
+         * @returns {Array<L.Point>} Positions in layer pixels
+         */
+        getFanOutPositions(count, center, innerRadius) {
+            const separation = 28;
+            const positions = [];
+
+            if (count <= 9) {
+                // Circle
+                const legLength = Math.max(innerRadius + 16, (separation * count) / (2 * Math.PI));
+                const angleStep = (2 * Math.PI) / count;
+
+                for (let i = 0; i < count; i++) {
+                    const angle = i * angleStep - Math.PI / 2;
+                    positions.push(L.point(
+                        center.x + legLength * Math.cos(angle),
+                        center.y + legLength * Math.sin(angle)
+                    ));
+                }
+            } else {
+                // Spiral
+                let legLength = innerRadius + 16;
+                let angle = 0;
+
+                for (let i = 0; i < count; i++) {
+                    angle += separation / legLength + i * 0.0005;
+                    positions.push(L.point(
+                        center.x + legLength * Math.cos(angle),
+                        center.y + legLength * Math.sin(angle)
+                    ));
+                    legLength += (2 * Math.PI * 5) / angle;
+                }
+            }
+
+            return positions;
+        }
+
+        /**
+         * Create the icon of a single organization, colored by the active coloring mode
+         * @param {Object} org - Organization data
+         * @returns {L.DivIcon} Marker icon
+         */
+        createOrganizationIcon(org) {
+            const size = this.isMobile() ? 26 : 22;
+            const center = size / 2;
+
+            return L.divIcon({
+                html: `
+                    <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">
+                        <circle cx="${center}" cy="${center}" r="${center - 2}"
+                            fill="${this.app.getMarkerColor(org)}"
+                            stroke="white" stroke-width="2"/>
+                    </svg>
+                `,
+                className: 'agtech-custom-marker agtech-org-marker',
+                iconSize: [size, size],
+                iconAnchor: [center, center]
+            });
+        }
+
+        /**
+         * Mark a marker as selected (until another one is highlighted or the selection is cleared)
+         * @param {L.Marker|null} marker - Marker to highlight, null to clear
+         */
+        highlightMarker(marker) {
+            if (this.highlightedMarker) {
+                this.highlightedMarker.getElement()?.classList.remove('agtech-marker-highlight');
+                this.highlightedMarker.off('add', this.applyHighlight, this);
+            }
+
+            this.highlightedMarker = marker;
+            if (marker) {
+                // The cluster group re-creates marker icons when they scroll or zoom back into view
+                marker.on('add', this.applyHighlight, this);
+                this.applyHighlight();
+            }
+        }
+
+        /**
+         * Add the highlight class to the icon of the highlighted marker
+         */
+        applyHighlight() {
+            this.highlightedMarker?.getElement()?.classList.add('agtech-marker-highlight');
+        }
+
+        /**
+         * Pulse the marker of an organization, or the cluster containing it
+         * @param {Object|null} org - Organization data, null to stop pulsing
+         */
+        pulseOrganization(org) {
+            this.pulsingElement?.classList.remove('agtech-marker-pulse');
+            this.pulsingElement = null;
+
+            const marker = org && this.getMarkerForOrganization(org);
+            if (!marker) return;
+
+            // Own marker of a fanned-out group, otherwise the group marker or the cluster containing it
+            const visible = this.spiderfied?.markers.get(org.IdNr) || this.markerCluster.getVisibleParent(marker);
+            const element = visible?.getElement();
+            if (element) {
+                element.classList.add('agtech-marker-pulse');
+                this.pulsingElement = element;
+            }
+        }
+
+        /**
+         * Show the current year of the growth animation on top of the map
+         * @param {number|null} year - Year to show, null to remove the overlay
+         */
+        showYearOverlay(year) {
+            const mapContainer = this.map?.getContainer();
+            if (!mapContainer) return;
+
+            let overlay = mapContainer.querySelector('.agtech-year-overlay');
+
+            if (year === null) {
+                overlay?.remove();
+                return;
+            }
+
+            if (!overlay) {
+                overlay = L.DomUtil.create('div', 'agtech-year-overlay', mapContainer);
+                overlay.setAttribute('aria-live', 'polite');
+            }
+            overlay.textContent = year;
+        }
+
+        /**
+         * Set map center and zoom, cancelling any pending automatic bounds fit
+         * @param {Array<number>} center - [lat, lng]
+         * @param {number} zoom - Zoom level
+         */
+        setView(center, zoom) {
+            if (!this.map) return;
+
+            clearTimeout(this.fitBoundsTimeout);
+            this.map.setView(center, zoom, { animate: false });
+        }
+
+        /**
+         * Track events for analytics (optional)
+         * @param {string} event - Event name
+         * @param {Object} data - Event data
+         */
+        trackEvent(event, data) {
+            // Optional: Integrate with analytics service
+            if (window.gtag) {
+                window.gtag('event', event, {
+                    custom_parameter_1: JSON.stringify(data)
+                });
+            }
+            
+            console.log('Map event:', event, data);
+        }
+
+        /**
+         * Debounce utility function
+         * @param {Function} func - Function to debounce
+         * @param {number} wait - Wait time in milliseconds
+         * @returns {Function} Debounced function
+         */
+        debounce(func, wait) {
+            let timeout;
+            return function executedFunction(...args) {
+                const later = () => {
+                    clearTimeout(timeout);
+                    func(...args);
+                };
+                clearTimeout(timeout);
+                timeout = setTimeout(later, wait);
+            };
+        }
+
+        /**
+         * Destroy map component and cleanup
+         */
+        destroy() {
+            try {
+                clearTimeout(this.fitBoundsTimeout);
+
+                if (this.markerCluster) {
+                    this.markerCluster.clearLayers();
+                }
+                
+                if (this.map) {
+                    this.map.remove();
+                }
+                
+                this.map = null;
+                this.markerCluster = null;
+                this.legend = null;
+                this.stateLayer = null;
+                this.proximityLayer = null;
+                this.regionLayer = null;
+                this.outlineLayer = null;
+                this.isInitialized = false;
+                
+                console.log('MapComponent destroyed successfully');
+            } catch (error) {
+                console.error('Error destroying MapComponent:', error);
+            }
+        }
+    }
+
+    /**
+     * Detail panel component for showing organization information
+     */
+    class DetailComponent {
+        constructor(app) {
+            this.app = app;
+            this.panel = this.app.getElement('detail-panel');
+            this.title = this.app.getElement('detail-title');
+            this.counter = this.app.getElement('org-counter');
+            this.content = this.app.getElement('detail-content');
+            this.infoTooltip = this.app.getElement('info-tooltip');
+
+            // Organizations and location of the currently opened panel
+            this.currentOrganizations = [];
+            this.currentLocation = '';
+            this.renderedOrganizations = new Map();
+
+            this.setupEventListeners();
+        }
+
+        setupEventListeners() {
+            const closeBtn = this.app.getElement('close-detail');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.hide());
+            }
+
+            // Expand/collapse organization profiles (cards are re-rendered, so delegate)
+            this.content?.addEventListener('click', (event) => {
+                const expandButton = event.target.closest('.agtech-org-expand');
+                if (expandButton) {
+                    this.toggleOrganizationDetails(expandButton);
+                }
+            });
+
+            // Touch-Events für Mobile
+            if (this.panel) {
+                let startY = 0;
+                let currentY = 0;
+                let isDragging = false;
+
+                // Swipe-to-close für Mobile
+                this.panel.addEventListener('touchstart', (e) => {
+                    startY = e.touches[0].clientY;
+                    isDragging = true;
+                }, { passive: true });
+
+                this.panel.addEventListener('touchmove', (e) => {
+                    if (!isDragging) return;
+                    currentY = e.touches[0].clientY;
+
+                    // Nur nach unten swipen erlauben
+                    const deltaY = currentY - startY;
+                    if (deltaY > 0) {
+                        this.panel.style.transform = `translateY(${deltaY}px)`;
+                    }
+                }, { passive: true });
+
+                this.panel.addEventListener('touchend', () => {
+                    if (!isDragging) return;
+                    isDragging = false;
+
+                    const deltaY = currentY - startY;
+
+                    // Wenn mehr als 100px nach unten geswiped, Panel schließen
+                    if (deltaY > 100) {
+                        this.hide();
+                    } else {
+                        // Zurück zur ursprünglichen Position
+                        this.panel.style.transform = 'translateY(0)';
+                    }
+                }, { passive: true });
+            }
+
+            // Escape-Key Handler
+            this.app.listen(document, 'keydown', (event) => {
+                if (event.key === 'Escape' && this.panel.classList.contains('visible')) {
+                    this.hide();
+                }
+            });
+        }
+
+        show(organizations, location) {
+            this.currentOrganizations = organizations;
+            this.currentLocation = location;
+
+            this.updateTitle(organizations.length, location);
+            this.renderOrganizations(organizations);
+
+            // Panel anzeigen
+            this.panel.classList.add('visible');
+            this.panel.scrollTop = 0;
+            this.content.scrollTop = 0;
+
+            // Reset transform (falls durch Swipe verändert)
+            this.panel.style.transform = 'translateY(0)';
+
+            // Mobile-spezifische Anpassungen
+            if (this.isMobile()) {
+                // Info-Tooltip verstecken
+                if (this.infoTooltip) {
+                    this.infoTooltip.style.display = 'none';
+                }
+
+                // Body-Scroll verhindern (iOS Safari Fix)
+                document.body.style.overflow = 'hidden';
+
+                // Viewport-Meta für bessere Mobile-Darstellung
+                this.updateViewportMeta();
+            } else {
+                // Desktop: Legend verstecken
+                if (window.innerWidth >= 768) {
+                    this.app.mapComponent.toggleLegend(false);
+                }
+            }
+
+            // Fokus auf Panel für Accessibility
+            this.panel.focus();
+
+            this.app.urlStateComponent.update({ push: true });
+            this.app.emit('select', { organizations, location });
+        }
+
+        hide() {
+            if (!this.isVisible()) return;
+
+            this.panel.classList.remove('visible');
+            this.panel.style.transform = 'translateY(0)'; // Reset transform
+
+            // Mobile-spezifische Cleanup
+            if (this.isMobile()) {
+                // Info-Tooltip wieder anzeigen
+                if (this.infoTooltip) {
+                    this.infoTooltip.style.display = 'flex';
+                }
+
+                // Body-Scroll wieder aktivieren
+                document.body.style.overflow = '';
+            } else {
+                // Desktop: Legend wieder anzeigen
+                if (window.innerWidth >= 768) {
+                    this.app.mapComponent.toggleLegend(true);
+                }
+            }
+
+            this.app.mapComponent.highlightMarker(null);
+            this.app.urlStateComponent.update({ push: true });
+            this.app.emit('deselect');
+        }
+
+        isMobile() {
+            return window.innerWidth <= 768;
+        }
+
+        isVisible() {
+            return this.panel.classList.contains('visible');
+        }
+
+        /**
+         * Re-render the open panel with only the organizations matching the filters
+         * @param {Function} predicate - Returns true for organizations to keep
+         */
+        applyFilters(predicate) {
+            if (!this.isVisible()) return;
+
+            const visibleOrgs = this.currentOrganizations.filter(predicate);
+            if (visibleOrgs.length === 0) {
+                this.hide();
+                return;
+            }
+
+            this.updateTitle(visibleOrgs.length, this.currentLocation);
+            this.renderOrganizations(visibleOrgs);
+        }
+
+        updateViewportMeta() {
+            // Viewport-Meta für bessere Mobile-Performance anpassen
+            let viewport = document.querySelector('meta[name="viewport"]');
+            if (viewport) {
+                viewport.setAttribute('content',
+                    'width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no'
+                );
+            }
+        }
+
+        updateTitle(count, location) {
+            if (this.counter) {
+                this.counter.textContent = count;
+            }
+
+            if (this.title) {
+                // Mobile: Kompaktere Darstellung
+                if (this.isMobile()) {
+                    this.title.innerHTML = `
+                    <span class="agtech-org-counter">${count}</span>
+                    <div style="text-align: center;">
+                        <div style="font-size: 0.9rem;">${this.app.t('detail.in')}</div>
+                        <div style="font-size: 1rem; font-weight: 600;">${this.escapeHtml(location)}</div>
+                    </div>
+                `;
+                    this.counter = this.title.querySelector('.agtech-org-counter');
+                } else {
+                    // Desktop: Original Layout
+                    const locationText = document.createElement('span');
+                    locationText.className = 'location-text';
+                    locationText.textContent = this.app.t('detail.title', { location });
+
+                    this.title.innerHTML = '';
+                    this.title.appendChild(this.counter);
+                    this.title.appendChild(locationText);
+                }
+            }
+        }
+
+        renderOrganizations(organizations) {
+            if (!this.content) return;
+
+            this.renderedOrganizations = new Map(organizations.map(org => [org.IdNr, org]));
+
+            const cardsHTML = organizations.map(org => this.createOrganizationCard(org)).join('');
+            this.content.innerHTML = cardsHTML;
+        }
+
+        /**
+         * Expand or collapse the full profile of an organization card.
+         * The markdown profile is only rendered on first expansion.
+         * @param {HTMLElement} button - The toggle button inside the card
+         */
+        toggleOrganizationDetails(button) {
+            const card = button.closest('.agtech-org-card');
+            const details = card?.querySelector('.agtech-org-details');
+            const org = this.renderedOrganizations.get(card?.getAttribute('data-org-id'));
+            if (!details || !org) return;
+
+            const expand = details.hidden;
+
+            if (expand && !details.hasChildNodes()) {
+                details.innerHTML = this.createOrganizationDetails(org);
+            }
+
+            details.hidden = !expand;
+            button.setAttribute('aria-expanded', String(expand));
+            button.textContent = expand ? this.app.t('detail.showLess') : this.app.t('detail.showProfile');
+        }
+
+        /**
+         * Create HTML for the expanded organization profile
+         * @param {Object} org - Organization data
+         * @returns {string} HTML string
+         */
+        createOrganizationDetails(org) {
+            const foundingYear = org.foundingYear || org.FoundingYear;
+            const sourceUrl = Utils.isHttpUrl(org.SourceUrl) ? org.SourceUrl : '';
+            const description = this.app.getText(org, 'AiDescription');
+            const verifiedCount = MarkdownRenderer.countVerified(description);
+            const unknown = this.app.t('common.unknown');
+
+            const facts = [
+                [this.app.t('column.foundingYear'), foundingYear ? this.escapeHtml(foundingYear) : unknown],
+                [this.app.t('column.headquarter'), this.escapeHtml(org.Headquarter) || unknown],
+                [this.app.t('column.bundesland'), this.escapeHtml(org.Bundesland) || unknown],
+                [this.app.t('column.source'), org.Source ? (sourceUrl ? `
+                    <a href="${this.escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer">
+                        ${this.escapeHtml(org.Source)}
+                    </a>` : this.escapeHtml(org.Source)) : unknown]
+            ];
+
+            return `
+                <dl class="agtech-org-facts">
+                    ${facts.map(([label, value]) => `
+                        <dt>${label}</dt>
+                        <dd>${value}</dd>
+                    `).join('')}
+                </dl>
+                ${description ? `
+                    <div class="agtech-org-profile-header">
+                        <span>${this.app.t('detail.aiProfile')}</span>
+                        ${verifiedCount > 0 ? `
+                            <span class="agtech-verified" title="${this.app.t('detail.verifiedTitle')}">
+                                ✓ ${this.app.t('detail.verified', { count: verifiedCount })}
+                            </span>
+                        ` : ''}
+                    </div>
+                    <div class="agtech-org-profile">${MarkdownRenderer.render(description, {
+                        verified: this.app.t('markdown.verified'),
+                        new: this.app.t('markdown.new')
+                    })}</div>
+                ` : ''}
+                ${org.SourceDescription ? `
+                    <div class="agtech-org-profile-header">
+                        <span>${this.app.t('detail.sourceDescription')}</span>
+                    </div>
+                    <p class="agtech-org-source-description">${this.escapeHtml(org.SourceDescription)}</p>
+                ` : ''}
+            `;
+        }
+
+        createOrganizationCard(org) {
+            const typeColor = this.app.getTypeColor(org.OrganizationType);
+            const categoryColor = this.app.getCategoryColor(org.FinalCategories);
+            const aiColors = this.app.getAiScoreColors(org.aiUseScore);
+            const searchTerms = this.app.getSearchTerms();
+            const hiddenMatch = this.app.getHiddenSearchMatch(org, ['OrganizationName', 'AiSummary']);
+            const distance = this.app.getProximityDistance(org);
+            const summary = this.app.getText(org, 'AiSummary');
+
+            return `
+            <div class="agtech-org-card" data-org-id="${this.escapeHtml(org.IdNr)}">
+                <div class="agtech-org-badges">
+                    <span class="agtech-org-badge" style="background-color: ${typeColor}">
+                        ${this.escapeHtml(this.app.translateType(org.OrganizationType || 'Startup'))}
+                    </span>
+                    ${org.FinalCategories ? `
+                        <span class="agtech-org-badge" style="background-color: ${categoryColor}">
+                            ${this.escapeHtml(this.app.translateCategory(org.FinalCategories))}
+                        </span>
+                    ` : ''}
+                    ${org.aiUseScore !== null ? `
+                        <span class="agtech-org-badge agtech-ai-badge"
+                            style="background-color: ${aiColors.background}; color: ${aiColors.color}"
+                            title="${this.app.t(org.aiMention ? 'ai.scoreMentionTitle' : 'ai.scoreTitle')}">
+                            ${this.app.t('ai.score')} ${this.app.formatNumber(org.aiUseScore)}
+                        </span>
+                    ` : ''}
+                </div>
+                <h3 class="agtech-org-name">${Utils.highlightText(org.OrganizationName, searchTerms)}</h3>
+                ${distance !== null ? `
+                    <p class="agtech-org-distance">${this.app.t('detail.distance', {
+                        distance: this.app.formatNumber(Math.round(distance * 10) / 10)
+                    })}</p>
+                ` : ''}
+                ${summary ? `
+                    <p class="agtech-org-description">${Utils.highlightText(summary, searchTerms)}</p>
+                ` : ''}
+                ${hiddenMatch ? `
+                    <p class="agtech-search-snippet">${hiddenMatch}</p>
+                ` : ''}
+                ${org.WebsiteUrl ? `
+                    <a href="${this.escapeHtml(org.WebsiteUrl)}" 
+                       target="_blank" 
+                       rel="noopener noreferrer" 
+                       class="agtech-org-link"
+                       onclick="event.stopPropagation();">
+                        ${this.app.t('common.visitWebsite')}
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M18 13V19C18 19.5304 17.7893 20.0391 17.4142 20.4142C17.0391 20.7893 16.5304 21 16 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V8C3 7.46957 3.21071 6.96086 3.58579 6.58579C3.96086 6.21071 4.46957 6 5 6H11M15 3H21V9M10 14L21 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        </svg>
+                    </a>
+                ` : ''}
+                <button type="button" class="agtech-org-expand" aria-expanded="false"
+                    aria-controls="${this.app.idPrefix}-org-details-${this.escapeHtml(org.IdNr)}">${this.app.t('detail.showProfile')}</button>
+                <div class="agtech-org-details" id="${this.app.idPrefix}-org-details-${this.escapeHtml(org.IdNr)}" hidden></div>
+            </div>
+        `;
+        }
+
+        escapeHtml(text) {
+            if (!text) return '';
+            const div = document.createElement('div');
+            div.textContent = text.toString();
+            return div.innerHTML;
+        }
+    }
+
+    /**
+     * Filter component handling filter UI and logic
+     */
+    class FilterComponent {
+        /**
+         * @param {AgTechMapApp} app - Reference to main app
+         */
+        constructor(app) {
+            this.app = app;
+            this.typeFilters = this.app.getElement('type-filters');
+            this.categoryFilters = this.app.getElement('category-filters');
+            this.typeShortcuts = this.app.getElement('type-shortcuts');
+            this.filterContent = this.app.getElement('filter-content');
+            this.filterToggle = this.app.getElement('filter-toggle');
+            this.searchInput = this.app.getElement('search-input');
+            this.stateFilters = this.app.getElement('state-filters');
+            this.sourceFilters = this.app.getElement('source-filters');
+
+            // Founding year timeline
+            this.yearGroup = this.app.getElement('year-filter-group');
+            this.yearMinInput = this.app.getElement('year-min');
+            this.yearMaxInput = this.app.getElement('year-max');
+            this.yearLabel = this.app.getElement('year-label');
+            this.yearUnknownInput = this.app.getElement('year-unknown');
+            this.yearUnknownCount = this.app.getElement('year-unknown-count');
+            this.yearAnimateButton = this.app.getElement('year-animate');
+            this.yearBounds = null;
+            this.animationTimer = null;
+
+            // AI usage
+            this.aiMinInput = this.app.getElement('ai-min');
+            this.aiMaxInput = this.app.getElement('ai-max');
+            this.aiLabel = this.app.getElement('ai-label');
+            this.aiMentionInput = this.app.getElement('ai-mention');
+            this.aiMentionCount = this.app.getElement('ai-mention-count');
+
+            // Radius search; the radius is kept for the next search while none is active
+            this.proximityForm = this.app.getElement('proximity-form');
+            this.proximityPlaceInput = this.app.getElement('proximity-place');
+            this.proximityPlaces = this.app.getElement('proximity-places');
+            this.proximityRadiusInput = this.app.getElement('proximity-radius');
+            this.proximityLabel = this.app.getElement('proximity-label');
+            this.proximityStatus = this.app.getElement('proximity-status');
+            this.proximityClearButton = this.app.getElement('proximity-clear');
+            this.proximityRadius = this.app.config.proximity.radius;
+
+            this.activeFilters = createDefaultFilters();
+
+            // Auto-collapse filters on mobile
+            if (Utils.getBreakpoint() === 'mobile' && this.filterContent && this.filterToggle) {
+                this.filterContent.classList.add('collapsed');
+                this.filterToggle.textContent = this.app.t('filter.show');
+            }
+        }
+
+        /**
+         * Initialize filters with data
+         * @param {Array} data - Organization data
+         */
+        initialize(data) {
+            this.setupSearch();
+            this.createTypeFilters();
+            this.createCategoryFilters(data);
+            this.createStateFilters(data);
+            this.createProximityFilter();
+            this.createSourceFilters(data);
+            this.createAiFilter();
+            this.createYearFilter(data);
+
+            // Reflect filters that were set through the API before the data arrived
+            this.setFilters(this.app.activeFilters);
+            this.updateCounts();
+        }
+
+        /**
+         * Wire up the full-text search field
+         */
+        setupSearch() {
+            if (!this.searchInput) return;
+
+            this.searchInput.addEventListener('input', () => {
+                this.handleSearch(this.searchInput.value);
+            });
+        }
+
+        /**
+         * Handle search input changes
+         * @param {string} query - Raw search query
+         */
+        handleSearch(query) {
+            this.activeFilters.search = query.trim();
+            this.updateFilters();
+        }
+
+        /**
+         * Create one toggle per organization type (with count and "only" shortcut)
+         * and the "all" / "none" shortcuts
+         */
+        createTypeFilters() {
+            if (!this.typeFilters) return;
+
+            this.app.getOrganizationTypes().forEach(type => {
+                const item = document.createElement('span');
+                item.className = 'agtech-type-filter';
+
+                const button = document.createElement('button');
+                button.className = 'agtech-filter-btn active';
+                button.style.backgroundColor = this.app.getTypeColor(type);
+                button.setAttribute('data-type', type);
+                button.setAttribute('aria-pressed', 'true');
+                button.innerHTML = `${Utils.escapeHtml(this.app.translateType(type))} <span class="agtech-filter-count">0</span>`;
+                button.addEventListener('click', () => this.handleTypeFilter(type));
+
+                const onlyButton = document.createElement('button');
+                onlyButton.className = 'agtech-type-only';
+                onlyButton.type = 'button';
+                onlyButton.textContent = this.app.t('filter.only');
+                onlyButton.setAttribute('aria-label', this.app.t('filter.onlyLabel', { type: this.app.translateType(type) }));
+                onlyButton.addEventListener('click', () => this.setTypeSelection([type]));
+
+                item.append(button, onlyButton);
+                this.typeFilters.appendChild(item);
+            });
+
+            this.typeShortcuts?.querySelectorAll('[data-select]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.setTypeSelection(button.getAttribute('data-select') === 'all' ? null : []);
+                });
+            });
+        }
+
+        /**
+         * Show on every filter option how many organizations it yields together with the
+         * other active filters; options without results are greyed out
+         */
+        updateCounts() {
+            const facets = [
+                [this.typeFilters, 'type', this.app.getTypeCounts()],
+                [this.categoryFilters, 'category',
+                    this.app.getFacetCounts({ categories: new Set() }, org => org.FinalCategories)],
+                [this.stateFilters, 'state', this.app.getStateCounts()],
+                [this.sourceFilters, 'source', this.app.getFacetCounts({ sources: new Set() }, org => org.Source)]
+            ];
+
+            facets.forEach(([container, key, counts]) => {
+                container?.querySelectorAll('.agtech-filter-btn').forEach(button => {
+                    const count = counts[button.getAttribute(`data-${key}`)] || 0;
+                    button.querySelector('.agtech-filter-count').textContent = count;
+                    button.classList.toggle('empty', count === 0);
+                });
+            });
+
+            if (this.aiMentionCount) {
+                this.aiMentionCount.textContent = this.app.getFacetCounts({ aiMention: false },
+                    org => org.aiMention === true && 'mention').mention || 0;
+            }
+            if (this.yearUnknownCount) {
+                this.yearUnknownCount.textContent = this.app.getFacetCounts({ includeUnknownYears: true },
+                    org => org.foundingYear === null && 'unknown').unknown || 0;
+            }
+            this.updateProximityLabel();
+        }
+
+        /**
+         * Create category filter buttons
+         * @param {Array} data - Organization data
+         */
+        createCategoryFilters(data) {
+            if (!this.categoryFilters) return;
+
+            const categories = [...new Set(data.map(org => org.FinalCategories))]
+                .filter(Boolean)
+                .sort();
+
+            categories.forEach(category => {
+                const button = document.createElement('button');
+                button.className = 'agtech-filter-btn';
+                button.innerHTML = `${Utils.escapeHtml(this.app.translateCategory(category))} <span class="agtech-filter-count">0</span>`;
+                button.style.backgroundColor = this.app.getCategoryColor(category);
+                button.setAttribute('data-category', category);
+                button.setAttribute('aria-pressed', 'false');
+
+                button.addEventListener('click', () => this.handleCategoryFilter(category, button));
+                this.categoryFilters.appendChild(button);
+            });
+        }
+
+        /**
+         * Create Bundesland filter buttons
+         * @param {Array} data - Organization data
+         */
+        createStateFilters(data) {
+            if (!this.stateFilters) return;
+
+            const states = [...new Set(data.map(org => org.Bundesland))]
+                .filter(Boolean)
+                .sort((a, b) => a.localeCompare(b, 'de'));
+
+            states.forEach(state => {
+                const button = document.createElement('button');
+                button.className = 'agtech-filter-btn';
+                button.innerHTML = `${Utils.escapeHtml(state)} <span class="agtech-filter-count">0</span>`;
+                button.style.backgroundColor = STATE_LAYER_STYLE.color;
+                button.setAttribute('data-state', state);
+                button.setAttribute('aria-pressed', 'false');
+
+                button.addEventListener('click', () => this.handleStateFilter(state, button));
+                this.stateFilters.appendChild(button);
+            });
+        }
+
+        /**
+         * Create data source filter buttons
+         * @param {Array} data - Organization data
+         */
+        createSourceFilters(data) {
+            if (!this.sourceFilters) return;
+
+            const sources = [...new Set(data.map(org => org.Source))]
+                .filter(Boolean)
+                .sort((a, b) => a.localeCompare(b, 'de'));
+
+            sources.forEach(source => {
+                const button = document.createElement('button');
+                button.className = 'agtech-filter-btn';
+                button.innerHTML = `${Utils.escapeHtml(source)} <span class="agtech-filter-count">0</span>`;
+                button.style.backgroundColor = '#4e5559';
+                button.setAttribute('data-source', source);
+                button.setAttribute('aria-pressed', 'false');
+
+                button.addEventListener('click', () => this.handleSourceFilter(source, button));
+                this.sourceFilters.appendChild(button);
+            });
+        }
+
+        /**
+         * Set up the radius search: place field with the Headquarter values as suggestions,
+         * radius slider and reset button
+         */
+        createProximityFilter() {
+            if (!this.proximityForm || !this.proximityRadiusInput) return;
+
+            const { minRadius, maxRadius } = this.app.config.proximity;
+            Object.assign(this.proximityRadiusInput, { min: minRadius, max: maxRadius, step: minRadius });
+            this.proximityRadiusInput.value = this.proximityRadius;
+
+            if (this.proximityPlaces) {
+                this.proximityPlaces.innerHTML = this.app.getPlaces()
+                    .map(place => `<option value="${Utils.escapeHtml(place)}"></option>`).join('');
+            }
+
+            this.proximityForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleProximitySearch(this.proximityPlaceInput.value);
+            });
+
+            // Label follows the slider, the search is only repeated when the handle is released
+            this.proximityRadiusInput.addEventListener('input', () => {
+                this.proximityRadius = Number(this.proximityRadiusInput.value);
+                this.updateProximityLabel();
+            });
+            this.proximityRadiusInput.addEventListener('change', () => {
+                const proximity = this.activeFilters.proximity;
+                if (proximity) {
+                    this.app.setProximity(proximity, { radius: this.proximityRadius, label: proximity.label });
+                }
+            });
+
+            this.proximityClearButton?.addEventListener('click', () => this.app.setProximity(null));
+
+            this.updateProximityLabel();
+        }
+
+        /**
+         * Start a radius search around a place of the data set
+         * @param {string} name - Place name as typed
+         */
+        handleProximitySearch(name) {
+            if (!name.trim()) return;
+
+            const place = this.app.resolvePlace(name);
+            if (!place) {
+                this.proximityStatus.textContent = this.app.t('filter.proximityUnknownPlace', { place: name.trim() });
+                return;
+            }
+
+            this.app.setProximity(place);
+        }
+
+        /**
+         * Show the radius and the place of the active search
+         */
+        updateProximityLabel() {
+            const proximity = this.activeFilters.proximity;
+
+            if (this.proximityLabel) {
+                this.proximityLabel.textContent = proximity ?
+                    `${this.app.formatNumber(proximity.radius)} km` :
+                    this.app.t('filter.proximityOff', { radius: this.app.formatNumber(this.proximityRadius) });
+            }
+            if (this.proximityStatus) {
+                const count = this.app.filteredData.length;
+                this.proximityStatus.textContent = proximity ?
+                    this.app.t('proximity.count', { count, area: this.app.getProximityTitle(proximity) }) :
+                    this.app.t('filter.proximityHint');
+            }
+            if (this.proximityClearButton) {
+                this.proximityClearButton.hidden = !proximity;
+            }
+        }
+
+        /**
+         * Set up the AiUseScore range slider and the "mentions AI" toggle
+         */
+        createAiFilter() {
+            if (!this.aiMinInput || !this.aiMaxInput) return;
+
+            this.aiMinInput.addEventListener('input', () => this.handleAiInput(this.aiMinInput));
+            this.aiMaxInput.addEventListener('input', () => this.handleAiInput(this.aiMaxInput));
+
+            this.aiMentionInput?.addEventListener('change', () => {
+                this.activeFilters.aiMention = this.aiMentionInput.checked;
+                this.updateFilters();
+            });
+
+            this.updateAiLabel();
+        }
+
+        /**
+         * Handle movement of one of the two AiUseScore slider handles
+         * @param {HTMLInputElement} input - The moved handle
+         */
+        handleAiInput(input) {
+            let min = parseFloat(this.aiMinInput.value);
+            let max = parseFloat(this.aiMaxInput.value);
+
+            // Handles must not cross
+            if (min > max) {
+                if (input === this.aiMinInput) {
+                    min = max;
+                    this.aiMinInput.value = min;
+                } else {
+                    max = min;
+                    this.aiMaxInput.value = max;
+                }
+            }
+
+            // The full range also includes organizations without a score
+            this.activeFilters.aiScore = min <= 0 && max >= 1 ? null : { min, max };
+            this.updateAiLabel();
+            this.updateFilters();
+        }
+
+        /**
+         * Show the selected AiUseScore range next to the group title
+         */
+        updateAiLabel() {
+            if (!this.aiLabel) return;
+
+            const range = this.activeFilters.aiScore;
+            if (!range) {
+                this.aiLabel.textContent = this.app.t('filter.allScores');
+                return;
+            }
+
+            const { min, max } = range;
+            this.aiLabel.textContent = min === max ?
+                this.app.formatNumber(min) :
+                `${this.app.formatNumber(min)} – ${this.app.formatNumber(max)}`;
+        }
+
+        /**
+         * Set up the founding year range slider, unknown-year toggle and animation
+         * @param {Array} data - Organization data
+         */
+        createYearFilter(data) {
+            if (!this.yearMinInput || !this.yearMaxInput) return;
+
+            const years = data.map(org => org.foundingYear).filter(year => year !== null);
+            if (years.length === 0) {
+                this.yearGroup?.classList.add('hidden');
+                return;
+            }
+
+            this.yearBounds = { min: Math.min(...years), max: Math.max(...years) };
+
+            [this.yearMinInput, this.yearMaxInput].forEach(input => {
+                input.min = this.yearBounds.min;
+                input.max = this.yearBounds.max;
+                input.step = 1;
+            });
+            this.yearMinInput.value = this.yearBounds.min;
+            this.yearMaxInput.value = this.yearBounds.max;
+
+            this.yearMinInput.addEventListener('input', () => this.handleYearInput(this.yearMinInput));
+            this.yearMaxInput.addEventListener('input', () => this.handleYearInput(this.yearMaxInput));
+
+            this.yearUnknownInput?.addEventListener('change', () => {
+                this.activeFilters.includeUnknownYears = this.yearUnknownInput.checked;
+                this.updateFilters();
+            });
+
+            this.yearAnimateButton?.addEventListener('click', () => this.toggleYearAnimation());
+
+            this.updateYearLabel();
+        }
+
+        /**
+         * Handle movement of one of the two year slider handles
+         * @param {HTMLInputElement} input - The moved handle
+         */
+        handleYearInput(input) {
+            this.stopYearAnimation();
+
+            let min = parseInt(this.yearMinInput.value, 10);
+            let max = parseInt(this.yearMaxInput.value, 10);
+
+            // Handles must not cross
+            if (min > max) {
+                if (input === this.yearMinInput) {
+                    min = max;
+                    this.yearMinInput.value = min;
+                } else {
+                    max = min;
+                    this.yearMaxInput.value = max;
+                }
+            }
+
+            this.activeFilters.years = this.toYearFilter(min, max);
+            this.updateYearLabel();
+            this.updateFilters();
+        }
+
+        /**
+         * Convert a slider range into filter state (null if the full range is selected)
+         * @param {number} min - Lower bound
+         * @param {number} max - Upper bound
+         * @returns {Object|null} Year filter
+         */
+        toYearFilter(min, max) {
+            if (!this.yearBounds || (min <= this.yearBounds.min && max >= this.yearBounds.max)) {
+                return null;
+            }
+            return { min, max };
+        }
+
+        /**
+         * Show the selected year range next to the group title
+         */
+        updateYearLabel() {
+            if (!this.yearLabel || !this.yearBounds) return;
+
+            const { min, max } = this.activeFilters.years || this.yearBounds;
+            this.yearLabel.textContent = min === max ? `${min}` : `${min} – ${max}`;
+        }
+
+        /**
+         * Start or stop the year-by-year growth animation
+         */
+        toggleYearAnimation() {
+            if (this.animationTimer) {
+                this.stopYearAnimation();
+            } else {
+                this.startYearAnimation();
+            }
+        }
+
+        /**
+         * Play the ecosystem growing year by year: the upper bound moves from the first
+         * to the last founding year while the map keeps its current view
+         */
+        startYearAnimation() {
+            if (!this.yearBounds) return;
+
+            const { min, max } = this.yearBounds;
+            let year = min;
+
+            const step = () => {
+                this.app.setFilters({
+                    ...this.activeFilters,
+                    years: this.toYearFilter(min, year)
+                }, { fitBounds: false, pushHistory: false });
+                this.app.mapComponent.showYearOverlay(year);
+
+                if (year >= max) {
+                    this.stopYearAnimation();
+                    return;
+                }
+                year++;
+            };
+
+            this.setAnimationButtonState(true);
+            step();
+            this.animationTimer = setInterval(step, this.app.config.timeline.stepDelay);
+        }
+
+        /**
+         * Stop a running growth animation, keeping the last shown year range
+         */
+        stopYearAnimation() {
+            if (!this.animationTimer) return;
+
+            clearInterval(this.animationTimer);
+            this.animationTimer = null;
+            this.setAnimationButtonState(false);
+            this.app.mapComponent.showYearOverlay(null);
+
+            // Record the final state as a regular filter change
+            this.app.urlStateComponent.update({ push: true });
+        }
+
+        /**
+         * Reflect the animation state on the play button
+         * @param {boolean} playing - Whether the animation is running
+         */
+        setAnimationButtonState(playing) {
+            if (!this.yearAnimateButton) return;
+
+            this.yearAnimateButton.textContent = playing ? this.app.t('filter.stopAnimation') : this.app.t('filter.playGrowth');
+            this.yearAnimateButton.setAttribute('aria-pressed', String(playing));
+        }
+
+        /**
+         * Toggle a single type in the type selection
+         * @param {string} type - Organization type
+         */
+        handleTypeFilter(type) {
+            const allTypes = this.app.getOrganizationTypes();
+            const selected = new Set(this.activeFilters.types || allTypes);
+
+            if (selected.has(type)) {
+                selected.delete(type);
+            } else {
+                selected.add(type);
+            }
+
+            // Every type selected is the same as no restriction
+            this.setTypeSelection(allTypes.every(name => selected.has(name)) ? null : [...selected]);
+        }
+
+        /**
+         * Replace the type selection ("only", "all" and "none" shortcuts)
+         * @param {Array<string>|null} types - Selected types, null for all
+         */
+        setTypeSelection(types) {
+            this.activeFilters.types = types ? new Set(types) : null;
+            this.updateTypeButtons();
+            this.updateFilters();
+        }
+
+        /**
+         * Reflect the type selection on the type buttons
+         */
+        updateTypeButtons() {
+            const { types } = this.activeFilters;
+
+            this.typeFilters?.querySelectorAll('.agtech-filter-btn').forEach(btn => {
+                const isActive = !types || types.has(btn.getAttribute('data-type'));
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+            });
+        }
+
+        /**
+         * Handle category filter selection
+         * @param {string} category - Category name
+         * @param {HTMLElement} button - Button element
+         */
+        handleCategoryFilter(category, button) {
+            const isActive = button.classList.contains('active');
+
+            if (isActive) {
+                button.classList.remove('active');
+                button.setAttribute('aria-pressed', 'false');
+                this.activeFilters.categories.delete(category);
+            } else {
+                button.classList.add('active');
+                button.setAttribute('aria-pressed', 'true');
+                this.activeFilters.categories.add(category);
+            }
+
+            this.updateFilters();
+        }
+
+        /**
+         * Handle Bundesland filter selection
+         * @param {string} state - Bundesland name
+         * @param {HTMLElement} button - Button element
+         */
+        handleStateFilter(state, button) {
+            const isActive = button.classList.contains('active');
+
+            if (isActive) {
+                button.classList.remove('active');
+                button.setAttribute('aria-pressed', 'false');
+                this.activeFilters.states.delete(state);
+            } else {
+                button.classList.add('active');
+                button.setAttribute('aria-pressed', 'true');
+                this.activeFilters.states.add(state);
+            }
+
+            this.updateFilters();
+        }
+
+        /**
+         * Handle data source filter selection
+         * @param {string} source - Source name
+         * @param {HTMLElement} button - Button element
+         */
+        handleSourceFilter(source, button) {
+            const isActive = button.classList.contains('active');
+
+            if (isActive) {
+                button.classList.remove('active');
+                button.setAttribute('aria-pressed', 'false');
+                this.activeFilters.sources.delete(source);
+            } else {
+                button.classList.add('active');
+                button.setAttribute('aria-pressed', 'true');
+                this.activeFilters.sources.add(source);
+            }
+
+            this.updateFilters();
+        }
+
+        /**
+         * Toggle a Bundesland filter from outside the filter panel (e.g. a map click)
+         * @param {string} state - Bundesland name
+         */
+        toggleStateFilter(state) {
+            const button = [...(this.stateFilters?.querySelectorAll('.agtech-filter-btn') || [])]
+                .find(btn => btn.getAttribute('data-state') === state);
+
+            if (button) {
+                this.handleStateFilter(state, button);
+            } else {
+                // No organizations in this state yet, still allow filtering for it
+                if (this.activeFilters.states.has(state)) {
+                    this.activeFilters.states.delete(state);
+                } else {
+                    this.activeFilters.states.add(state);
+                }
+                this.updateFilters();
+            }
+        }
+
+        /**
+         * Sync filter UI with an externally provided filter state
+         * @param {Object} filters - Filter state to display
+         */
+        setFilters(filters) {
+            this.activeFilters = {
+                ...filters,
+                types: filters.types ? new Set(filters.types) : null,
+                categories: new Set(filters.categories),
+                states: new Set(filters.states),
+                sources: new Set(filters.sources)
+            };
+
+            this.updateTypeButtons();
+
+            this.categoryFilters?.querySelectorAll('.agtech-filter-btn').forEach(btn => {
+                const isActive = this.activeFilters.categories.has(btn.getAttribute('data-category'));
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+            });
+
+            this.stateFilters?.querySelectorAll('.agtech-filter-btn').forEach(btn => {
+                const isActive = this.activeFilters.states.has(btn.getAttribute('data-state'));
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+            });
+
+            this.sourceFilters?.querySelectorAll('.agtech-filter-btn').forEach(btn => {
+                const isActive = this.activeFilters.sources.has(btn.getAttribute('data-source'));
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+            });
+
+            if (this.searchInput) {
+                this.searchInput.value = filters.search || '';
+            }
+
+            if (this.yearBounds && this.yearMinInput && this.yearMaxInput) {
+                const { min, max } = filters.years || this.yearBounds;
+                this.yearMinInput.value = min;
+                this.yearMaxInput.value = max;
+                this.updateYearLabel();
+            }
+
+            if (this.yearUnknownInput) {
+                this.yearUnknownInput.checked = filters.includeUnknownYears;
+            }
+
+            if (this.aiMinInput && this.aiMaxInput) {
+                const { min, max } = filters.aiScore || { min: 0, max: 1 };
+                this.aiMinInput.value = min;
+                this.aiMaxInput.value = max;
+                this.updateAiLabel();
+            }
+
+            if (this.aiMentionInput) {
+                this.aiMentionInput.checked = filters.aiMention;
+            }
+
+            if (filters.proximity) {
+                this.proximityRadius = filters.proximity.radius;
+            }
+            if (this.proximityRadiusInput) {
+                this.proximityRadiusInput.value = this.proximityRadius;
+            }
+            if (this.proximityPlaceInput) {
+                this.proximityPlaceInput.value = filters.proximity?.label || '';
+            }
+        }
+
+        /**
+         * Update filters in the main app
+         */
+        updateFilters() {
+            this.app.updateFilters({ ...this.activeFilters });
+        }
+
+        /**
+         * Toggle mobile filter visibility
+         */
+        toggleMobileFilters() {
+            if (this.filterContent && this.filterToggle) {
+                const isCollapsed = this.filterContent.classList.contains('collapsed');
+
+                if (isCollapsed) {
+                    this.filterContent.classList.remove('collapsed');
+                    this.filterToggle.textContent = this.app.t('filter.hide');
+                } else {
+                    this.filterContent.classList.add('collapsed');
+                    this.filterToggle.textContent = this.app.t('filter.show');
+                }
+            }
+        }
+    }
+
+    /**
+     * Table component handling data table functionality
+     */
+    class TableComponent {
+        /**
+         * @param {AgTechMapApp} app - Reference to main app
+         */
+        constructor(app) {
+            this.app = app;
+            this.table = this.app.getElement('table');
+            this.tableHead = this.app.getElement('table-head');
+            this.tableBody = this.app.getElement('table-body');
+            this.scrollContainer = this.app.getElement('table-scroll');
+            this.columnChooser = this.app.getElement('table-columns');
+            this.exportMenu = this.app.getElement('export');
+            this.currentData = [];
+            this.filteredData = [];
+            this.sortedData = [];
+            // All organizations by IdNr, for the row lookup
+            this.organizationsById = new Map();
+
+            // Sorting and visible columns
+            this.sort = { key: null, direction: 'asc' };
+            this.visibleColumns = new Set(TABLE_COLUMNS.filter(column => column.visible).map(column => column.key));
+            this.collator = new Intl.Collator('de', { sensitivity: 'base', numeric: true });
+
+            // Virtual scrolling
+            this.isVirtual = false;
+            this.rowHeight = this.app.config.performance.tableRowHeight;
+            this.renderedRange = null;
+            this.scrollFrame = null;
+
+            // Row under the mouse pointer (its marker pulses)
+            this.hoveredRow = null;
+        }
+
+        /**
+         * Initialize table with data
+         * @param {Array} data - Organization data
+         */
+        initialize(data) {
+            this.currentData = data;
+            this.organizationsById = new Map(this.app.data.map(org => [org.IdNr, org]));
+            this.filteredData = [...data];
+            this.sortedData = this.sortData(this.filteredData);
+            this.setupExportMenu();
+            this.setupColumnChooser();
+            this.setupSorting();
+            this.setupVirtualScroll();
+            this.setupRowInteraction();
+            this.setupEmptyState();
+            this.setupViewportToggle();
+            this.renderHeader();
+            this.renderTable();
+            this.updateResultsCount();
+        }
+
+        /**
+         * Replace the displayed rows with an already filtered data set
+         * @param {Array} filteredData - Organizations matching the active filters
+         */
+        update(filteredData) {
+            this.filteredData = filteredData;
+            this.sortedData = this.sortData(filteredData);
+            this.renderTable({ resetScroll: true });
+            this.updateResultsCount();
+        }
+
+        /**
+         * Show the number of matching organizations above the table
+         */
+        updateResultsCount() {
+            const counter = this.app.getElement('results-count');
+            if (!counter) return;
+
+            const total = this.app.data ? this.app.data.length : this.filteredData.length;
+            const text = this.filteredData.length === total ?
+                this.app.t('common.organizations', { count: this.app.formatNumber(total) }) :
+                this.app.t('common.organizationsOf', {
+                    count: this.app.formatNumber(this.filteredData.length),
+                    total: this.app.formatNumber(total)
+                });
+            counter.textContent = this.app.viewportOnly ? this.app.t('table.inViewport', { text }) : text;
+        }
+
+        /**
+         * Wire up the "visible map area only" checkbox
+         */
+        setupViewportToggle() {
+            const checkbox = this.app.getElement('viewport-only');
+            checkbox?.addEventListener('change', () => this.app.setViewportOnly(checkbox.checked));
+            this.updateViewportToggle();
+        }
+
+        /**
+         * Reflect the "visible map area only" mode on its checkbox
+         */
+        updateViewportToggle() {
+            const checkbox = this.app.getElement('viewport-only');
+            if (checkbox) checkbox.checked = this.app.viewportOnly;
+        }
+
+        /**
+         * Wire up the "reset all filters" action of the empty state
+         */
+        setupEmptyState() {
+            this.tableBody?.addEventListener('click', (event) => {
+                if (event.target.closest('[data-reset-filters]')) {
+                    this.app.resetFilters();
+                } else if (event.target.closest('[data-viewport-off]')) {
+                    this.app.setViewportOnly(false);
+                }
+            });
+        }
+
+        /**
+         * Render the empty state shown when no organization matches the filters
+         */
+        renderEmptyState() {
+            // Matches outside the visible map area: offer to look at the whole map instead
+            const outsideViewport = this.app.viewportOnly && this.app.filteredData.length > 0;
+
+            this.tableBody.innerHTML = `
+                <tr class="agtech-table-empty">
+                    <td colspan="${this.getVisibleColumns().length}">
+                        ${outsideViewport ? `
+                            <p>${this.app.t('table.emptyViewport')}</p>
+                            <button type="button" class="agtech-control-btn" data-viewport-off>${this.app.t('table.wholeMap')}</button>
+                        ` : `
+                            <p>${this.app.t('table.empty')}</p>
+                            <button type="button" class="agtech-control-btn" data-reset-filters>${this.app.t('common.resetFilters')}</button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }
+
+        /**
+         * Wire up the export menu above the table
+         */
+        setupExportMenu() {
+            if (!this.exportMenu) return;
+
+            this.exportMenu.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-export]');
+                if (!button) return;
+
+                const delimiter = this.app.getElement('export-delimiter').value;
+                this.download(button.dataset.export, {
+                    delimiter: delimiter === 'tab' ? '\t' : delimiter,
+                    bom: this.app.getElement('export-bom').checked
+                });
+                this.exportMenu.open = false;
+            });
+        }
+
+        /**
+         * Link rows to the map: click/Enter shows the organization, hover pulses its marker
+         */
+        setupRowInteraction() {
+            if (!this.tableBody) return;
+
+            // The rows may show any organization once the filters change, not only the initial subset
+            const getOrganization = (row) => row && this.organizationsById.get(row.dataset.orgId);
+
+            this.tableBody.addEventListener('click', (event) => {
+                // Links in the row keep their own behavior
+                if (event.target.closest('a, button')) return;
+
+                const org = getOrganization(event.target.closest('tr[data-org-id]'));
+                if (org) this.showOnMap(org);
+            });
+
+            this.tableBody.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter' || !event.target.matches('tr[data-org-id]')) return;
+
+                const org = getOrganization(event.target);
+                if (org) {
+                    event.preventDefault();
+                    this.showOnMap(org);
+                }
+            });
+
+            this.tableBody.addEventListener('mouseover', (event) => {
+                const row = event.target.closest('tr[data-org-id]');
+                if (row === this.hoveredRow) return;
+
+                this.hoveredRow = row;
+                this.app.mapComponent.pulseOrganization(getOrganization(row) || null);
+            });
+
+            this.tableBody.addEventListener('mouseleave', () => {
+                this.hoveredRow = null;
+                this.app.mapComponent.pulseOrganization(null);
+            });
+        }
+
+        /**
+         * Scroll up to the map and show a single organization there and in the detail panel
+         * @param {Object} org - Organization data
+         */
+        showOnMap(org) {
+            this.hoveredRow = null;
+            this.app.mapComponent.pulseOrganization(null);
+            this.app.scrollToElement('map');
+            this.app.focusOrganization(org.IdNr);
+        }
+
+        /**
+         * Get the column definitions that are currently shown
+         * @returns {Array} Visible columns in display order
+         */
+        getVisibleColumns() {
+            return TABLE_COLUMNS.filter(column => this.visibleColumns.has(column.key));
+        }
+
+        /**
+         * Show the distance column sorted nearest first for a radius search, or remove it again
+         * @param {boolean} visible - Whether a radius search is active
+         */
+        showDistance(visible = true) {
+            const checkbox = this.columnChooser?.querySelector('input[value="distance"]');
+            if (checkbox) checkbox.checked = visible;
+
+            if (visible) {
+                this.visibleColumns.add('distance');
+                this.setSort('distance', 'asc');
+            } else if (this.visibleColumns.has('distance')) {
+                this.visibleColumns.delete('distance');
+                if (this.sort.key === 'distance') {
+                    this.sort = { key: null, direction: 'asc' };
+                    this.sortedData = this.sortData(this.filteredData);
+                }
+                this.renderHeader();
+                this.renderTable();
+            }
+        }
+
+        /**
+         * Populate the column chooser with one checkbox per column
+         */
+        setupColumnChooser() {
+            const menu = this.columnChooser?.querySelector('.agtech-dropdown-menu');
+            if (!menu) return;
+
+            menu.innerHTML = TABLE_COLUMNS.map(column => `
+                <label class="agtech-checkbox">
+                    <input type="checkbox" value="${column.key}" ${this.visibleColumns.has(column.key) ? 'checked' : ''}>
+                    ${this.escapeHtml(this.app.t(`column.${column.key}`))}
+                </label>
+            `).join('');
+
+            menu.addEventListener('change', (event) => {
+                const { value, checked } = event.target;
+                if (checked) {
+                    this.visibleColumns.add(value);
+                } else if (this.visibleColumns.size > 1) {
+                    this.visibleColumns.delete(value);
+                } else {
+                    // Keep at least one column
+                    event.target.checked = true;
+                    return;
+                }
+
+                this.renderHeader();
+                this.renderTable();
+            });
+        }
+
+        /**
+         * Sort on header click: first click ascending, second descending
+         */
+        setupSorting() {
+            if (!this.tableHead) return;
+
+            this.tableHead.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-sort]');
+                if (!button) return;
+
+                this.setSort(button.dataset.sort);
+            });
+        }
+
+        /**
+         * Sort the table by a column
+         * @param {string} key - Column key
+         * @param {string} direction - 'asc' or 'desc'; toggles when omitted for the current column
+         */
+        setSort(key, direction) {
+            if (!direction) {
+                direction = this.sort.key === key && this.sort.direction === 'asc' ? 'desc' : 'asc';
+            }
+
+            this.sort = { key, direction };
+            this.sortedData = this.sortData(this.filteredData);
+            this.renderHeader();
+            this.renderTable({ resetScroll: true });
+        }
+
+        /**
+         * Sort organizations by the active sort column
+         * @param {Array} data - Organizations
+         * @returns {Array} Sorted copy (original order if no sort column is set)
+         */
+        sortData(data) {
+            const column = TABLE_COLUMNS.find(item => item.key === this.sort.key);
+            if (!column) return [...data];
+
+            const factor = this.sort.direction === 'desc' ? -1 : 1;
+            const isEmpty = value => value === null || value === undefined || value === '';
+
+            return [...data].sort((a, b) => {
+                const valueA = column.sortValue(a, this.app);
+                const valueB = column.sortValue(b, this.app);
+
+                // Empty values last in both directions
+                if (isEmpty(valueA) || isEmpty(valueB)) {
+                    return isEmpty(valueA) - isEmpty(valueB);
+                }
+                if (typeof valueA === 'number' && typeof valueB === 'number') {
+                    return (valueA - valueB) * factor;
+                }
+                return this.collator.compare(String(valueA), String(valueB)) * factor;
+            });
+        }
+
+        /**
+         * Render the sortable column headers
+         */
+        renderHeader() {
+            if (!this.tableHead) return;
+
+            const cells = this.getVisibleColumns().map(column => {
+                const isSorted = this.sort.key === column.key;
+                const ariaSort = isSorted ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+                const indicator = isSorted ? (this.sort.direction === 'asc' ? '▲' : '▼') : '';
+
+                return `
+                    <th scope="col" aria-sort="${ariaSort}">
+                        <button type="button" class="agtech-sort-btn${isSorted ? ' active' : ''}" data-sort="${column.key}">
+                            ${this.escapeHtml(this.app.t(`column.${column.key}`))}
+                            <span class="agtech-sort-indicator" aria-hidden="true">${indicator}</span>
+                        </button>
+                    </th>
+                `;
+            }).join('');
+
+            this.tableHead.innerHTML = `<tr>${cells}</tr>`;
+        }
+
+        /**
+         * Re-render the visible window while scrolling (once per animation frame)
+         */
+        setupVirtualScroll() {
+            if (!this.scrollContainer) return;
+
+            this.scrollContainer.addEventListener('scroll', () => {
+                if (!this.isVirtual || this.scrollFrame) return;
+
+                this.scrollFrame = requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.renderVirtualizedTable();
+                });
+            }, { passive: true });
+        }
+
+        /**
+         * Render table with current sorted data
+         * @param {Object} options - Render options
+         * @param {boolean} options.resetScroll - Scroll back to the first row
+         */
+        renderTable({ resetScroll = false } = {}) {
+            if (!this.tableBody) return;
+
+            if (resetScroll && this.scrollContainer) {
+                this.scrollContainer.scrollTop = 0;
+            }
+
+            // Performance optimization for large datasets
+            this.isVirtual = this.sortedData.length > this.app.config.performance.virtualScrollThreshold;
+            this.table?.classList.toggle('agtech-table-virtual', this.isVirtual);
+            this.renderedRange = null;
+
+            if (this.sortedData.length === 0) {
+                this.renderEmptyState();
+            } else if (this.isVirtual) {
+                this.renderVirtualizedTable();
+            } else {
+                this.renderStandardTable();
+            }
+        }
+
+        /**
+         * Render standard table (for smaller datasets)
+         */
+        renderStandardTable() {
+            const rowsHTML = this.sortedData
+                .map(org => this.createTableRow(org))
+                .join('');
+
+            this.tableBody.innerHTML = rowsHTML;
+        }
+
+        /**
+         * Render only the rows in and around the visible part of the scroll container.
+         * Spacer rows above and below keep the scroll height of the full table, so every row stays reachable.
+         * Rows have a fixed height in this mode (see .agtech-table-virtual).
+         */
+        renderVirtualizedTable() {
+            const { virtualScrollOverscan: overscan } = this.app.config.performance;
+            const total = this.sortedData.length;
+            const scrollTop = this.scrollContainer ? this.scrollContainer.scrollTop : 0;
+            const viewportHeight = this.scrollContainer?.clientHeight || 600;
+
+            const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - overscan);
+            const end = Math.min(total, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + overscan);
+
+            if (this.renderedRange && this.renderedRange.start === start && this.renderedRange.end === end) return;
+            this.renderedRange = { start, end };
+
+            const colspan = this.visibleColumns.size;
+            const spacer = height => height > 0 ?
+                `<tr class="agtech-table-spacer" aria-hidden="true"><td colspan="${colspan}" style="height: ${height}px"></td></tr>` :
+                '';
+
+            const rowsHTML = this.sortedData
+                .slice(start, end)
+                .map(org => this.createTableRow(org))
+                .join('');
+
+            this.tableBody.innerHTML =
+                spacer(start * this.rowHeight) +
+                rowsHTML +
+                spacer((total - end) * this.rowHeight);
+
+            this.measureRowHeight();
+        }
+
+        /**
+         * Use the real row height once it is known (depends on font size and breakpoint)
+         */
+        measureRowHeight() {
+            const row = this.tableBody.querySelector('tr:not(.agtech-table-spacer)');
+            const height = row ? row.getBoundingClientRect().height : 0;
+
+            if (height > 0 && Math.abs(height - this.rowHeight) > 1) {
+                this.rowHeight = height;
+                this.renderedRange = null;
+                this.renderVirtualizedTable();
+            }
+        }
+
+        /**
+         * Create HTML for table row
+         * @param {Object} org - Organization data
+         * @returns {string} HTML string
+         */
+        createTableRow(org) {
+            const searchTerms = this.app.getSearchTerms();
+            const cells = this.getVisibleColumns()
+                .map(column => `<td>${this.createCell(column.key, org, searchTerms)}</td>`)
+                .join('');
+
+            return `<tr class="agtech-table-row" data-org-id="${this.escapeHtml(org.IdNr)}" tabindex="0">${cells}</tr>`;
+        }
+
+        /**
+         * Create the content of a table cell
+         * @param {string} key - Column key
+         * @param {Object} org - Organization data
+         * @param {Array<string>} searchTerms - Active search terms for highlighting
+         * @returns {string} HTML string
+         */
+        createCell(key, org, searchTerms) {
+            const empty = `<span style="color: #999;">${this.app.t('table.notAvailable')}</span>`;
+
+            switch (key) {
+                case 'name': {
+                    const hiddenMatch = this.app.getHiddenSearchMatch(org, ['OrganizationName', 'Headquarter']);
+                    return `
+                        <strong>${Utils.highlightText(org.OrganizationName, searchTerms)}</strong>
+                        ${hiddenMatch ? `<div class="agtech-search-snippet">${hiddenMatch}</div>` : ''}
+                    `;
+                }
+                case 'type':
+                    return `
+                        <span class="agtech-table-badge" style="background-color: ${this.app.getTypeColor(org.OrganizationType)}">
+                            ${this.escapeHtml(this.app.translateType(org.OrganizationType || 'Startup'))}
+                        </span>
+                    `;
+                case 'category':
+                    return org.FinalCategories ? `
+                        <span class="agtech-table-badge" style="background-color: ${this.app.getCategoryColor(org.FinalCategories)}">
+                            ${this.escapeHtml(this.app.translateCategory(org.FinalCategories))}
+                        </span>
+                    ` : empty;
+                case 'headquarter':
+                    return org.Headquarter ? Utils.highlightText(org.Headquarter, searchTerms) : empty;
+                case 'bundesland':
+                    return org.Bundesland ? this.escapeHtml(org.Bundesland) : empty;
+                case 'foundingYear':
+                    return org.foundingYear !== null ? org.foundingYear : empty;
+                case 'source':
+                    if (!org.Source) return empty;
+                    return Utils.isHttpUrl(org.SourceUrl) ? `
+                        <a href="${this.escapeHtml(org.SourceUrl)}" target="_blank" rel="noopener noreferrer"
+                            class="agtech-table-link">${this.escapeHtml(org.Source)}</a>
+                    ` : this.escapeHtml(org.Source);
+                case 'aiUseScore': {
+                    if (org.aiUseScore === null) return empty;
+                    const { background, color } = this.app.getAiScoreColors(org.aiUseScore);
+                    return `
+                        <span class="agtech-table-badge agtech-ai-badge" style="background-color: ${background}; color: ${color}"
+                            title="${this.app.t(org.aiMention ? 'ai.mentions' : 'ai.scoreTitle')}">
+                            ${this.app.formatNumber(org.aiUseScore)}${org.aiMention ? ` · ${this.app.t('ai.short')}` : ''}
+                        </span>
+                    `;
+                }
+                case 'distance': {
+                    const distance = this.app.getProximityDistance(org);
+                    return distance !== null ? `${this.app.formatNumber(Math.round(distance * 10) / 10)} km` : empty;
+                }
+                case 'website':
+                    return org.WebsiteUrl ? `
+                        <a href="${this.escapeHtml(org.WebsiteUrl)}" 
+                            target="_blank" 
+                            rel="noopener noreferrer" 
+                            class="agtech-table-link">
+                            ${this.app.t('common.visitWebsite')}
+                        </a>
+                    ` : empty;
+                default:
+                    return '';
+            }
+        }
+
+        /**
+         * Escape HTML to prevent XSS
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped text
+         */
+        escapeHtml(text) {
+            if (!text) return '';
+            const div = document.createElement('div');
+            div.textContent = text.toString();
+            return div.innerHTML;
+        }
+
+        /**
+         * Get current filtered data count
+         * @returns {number} Number of filtered items
+         */
+        getFilteredCount() {
+            return this.filteredData.length;
+        }
+
+        /**
+         * Describe the export: time, source, counts and the filters used
+         * @returns {Object} Export metadata
+         */
+        getExportMetadata() {
+            const { origin, pathname, search } = window.location;
+
+            return {
+                title: this.app.t('app.title'),
+                exportedAt: new Date().toISOString(),
+                source: this.app.config.data.csvUrl,
+                count: this.filteredData.length,
+                total: this.app.data.length,
+                filters: this.app.getFilters(),
+                filterDescription: this.describeFilters(this.app.activeFilters),
+                view: `${origin}${pathname}${search}${this.app.urlStateComponent.serialize()}`
+            };
+        }
+
+        /**
+         * Human-readable summary of the active filters
+         * @param {Object} filters - Filter state
+         * @returns {string} Description, e.g. "Typ: Startups; Bundesland: Bayern"
+         */
+        describeFilters(filters) {
+            const t = (key, params) => this.app.t(key, params);
+            const parts = [];
+
+            if (filters.types) {
+                const types = [...filters.types].map(type => this.app.translateType(type));
+                parts.push(`${t('column.type')}: ${types.length > 0 ? types.join(', ') : t('describe.noType')}`);
+            }
+            if (filters.categories.size > 0) {
+                const categories = [...filters.categories].map(category => this.app.translateCategory(category));
+                parts.push(`${t('column.category')}: ${categories.join(', ')}`);
+            }
+            if (filters.states.size > 0) {
+                parts.push(`${t('column.bundesland')}: ${[...filters.states].join(', ')}`);
+            }
+            if (filters.sources.size > 0) {
+                parts.push(`${t('column.source')}: ${[...filters.sources].join(', ')}`);
+            }
+            if (filters.search) {
+                parts.push(`${t('filter.search')}: "${filters.search}"`);
+            }
+            if (filters.years) {
+                parts.push(`${t('column.foundingYear')}: ${filters.years.min}–${filters.years.max}`);
+            }
+            if (!filters.includeUnknownYears) {
+                parts.push(t('describe.noUnknownYears'));
+            }
+            if (filters.aiScore) {
+                parts.push(`${t('ai.score')}: ${this.app.formatNumber(filters.aiScore.min)}–${this.app.formatNumber(filters.aiScore.max)}`);
+            }
+            if (filters.aiMention) {
+                parts.push(t('describe.aiMention'));
+            }
+            if (filters.proximity) {
+                parts.push(this.app.getProximityTitle(filters.proximity));
+            }
+            if (filters.region) {
+                parts.push(t('describe.region'));
+            }
+            if (this.app.viewportOnly) {
+                parts.push(t('describe.viewport'));
+            }
+
+            return parts.length > 0 ? parts.join('; ') : t('describe.none');
+        }
+
+        /**
+         * Get the exportable fields of an organization (derived fields such as searchText are left out)
+         * @param {Object} org - Organization data
+         * @returns {Object} Source fields in the internal model
+         */
+        getExportRecord(org) {
+            return Object.fromEntries(ORGANIZATION_FIELDS.map(field => [field, org[field] ?? '']));
+        }
+
+        /**
+         * Export filtered data (in table order) as CSV with all fields.
+         * Metadata is written as leading "#" comment lines, quoted so spreadsheets keep each in one cell;
+         * the CSV loader skips them on re-import.
+         * @param {Object} options - Export options
+         * @param {string} options.delimiter - Field delimiter
+         * @param {boolean} options.bom - Prepend a UTF-8 byte order mark (Excel)
+         * @param {boolean} options.excel - For spreadsheets: no comment lines, and cells starting
+         *     with =, +, - or @ are prefixed with ' so they are not run as formulas
+         * @returns {string} CSV string
+         */
+        exportAsCSV({ delimiter = ';', bom = true, excel = false } = {}) {
+            const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+            const guard = value => excel && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+            const meta = this.getExportMetadata();
+            const comments = excel ? [] : [
+                `# ${meta.title} – ${this.app.t('export.date', { date: new Date(meta.exportedAt).toLocaleString(this.app.t('locale')) })}`,
+                `# ${this.app.t('filter.title')}: ${meta.filterDescription}`,
+                `# ${this.app.t('export.entries', { count: meta.count, total: meta.total })}`,
+                `# ${this.app.t('column.source')}: ${meta.source}`,
+                `# ${this.app.t('export.view')}: ${meta.view}`
+            ].map(quote);
+
+            const rows = [
+                ORGANIZATION_FIELDS,
+                ...this.sortedData.map(org => Object.values(this.getExportRecord(org)).map(guard))
+            ].map(row => row.map(quote).join(delimiter));
+
+            return (bom ? '\uFEFF' : '') + [...comments, ...rows].join('\r\n');
+        }
+
+        /**
+         * Export filtered data as JSON ({ meta, organizations }, readable by the JSON loader)
+         * @returns {string} JSON string
+         */
+        exportAsJSON() {
+            return JSON.stringify({
+                meta: this.getExportMetadata(),
+                organizations: this.sortedData.map(org => this.getExportRecord(org))
+            }, null, 2);
+        }
+
+        /**
+         * Export filtered data as GeoJSON FeatureCollection (organizations without coordinates get a null geometry)
+         * @returns {string} GeoJSON string
+         */
+        exportAsGeoJSON() {
+            return JSON.stringify({
+                type: 'FeatureCollection',
+                metadata: this.getExportMetadata(),
+                features: this.sortedData.map(org => ({
+                    type: 'Feature',
+                    geometry: org.latitude !== null ?
+                        { type: 'Point', coordinates: [org.longitude, org.latitude] } :
+                        null,
+                    properties: this.getExportRecord(org)
+                }))
+            }, null, 2);
+        }
+
+        /**
+         * Download the filtered data
+         * @param {string} format - 'csv', 'excel' (semicolon + BOM, no comments, formula guard), 'json' or 'geojson'
+         * @param {Object} options - CSV options (delimiter, bom)
+         */
+        download(format, options = {}) {
+            const formats = {
+                csv: () => [this.exportAsCSV(options), 'csv', 'text/csv'],
+                excel: () => [this.exportAsCSV({ delimiter: ';', bom: true, excel: true }), 'csv', 'text/csv'],
+                json: () => [this.exportAsJSON(), 'json', 'application/json'],
+                geojson: () => [this.exportAsGeoJSON(), 'geojson', 'application/geo+json']
+            };
+            if (!formats[format]) return;
+
+            const [content, extension, type] = formats[format]();
+            const date = new Date().toISOString().slice(0, 10);
+            const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `agtech-organisationen-${date}.${extension}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+    }
+
+    /**
+     * Statistics dashboard for the filtered selection. Charts are plain SVG;
+     * clicking a bar or point toggles the corresponding filter.
+     */
+    class DashboardComponent {
+        /**
+         * @param {AgTechMapApp} app - Reference to main app
+         */
+        constructor(app) {
+            this.app = app;
+            this.grid = this.app.getElement('dashboard-grid');
+            // "Include unknown founding years" before a single year was selected in the chart
+            this.includeUnknownYearsBeforeYear = null;
+            this.countLabel = this.app.getElement('dashboard-count');
+        }
+
+        /**
+         * Wire up chart clicks (delegated, charts are re-rendered on every update)
+         */
+        initialize() {
+            if (!this.grid) return;
+
+            const activate = (event) => {
+                const target = event.target.closest('[data-filter]');
+                if (!target || !this.grid.contains(target)) return;
+
+                event.preventDefault();
+                this.applyChartFilter(target.getAttribute('data-filter'), target.getAttribute('data-value'));
+            };
+
+            this.grid.addEventListener('click', (event) => {
+                if (event.target.closest('[data-reset-filters]')) {
+                    this.app.resetFilters();
+                    return;
+                }
+                activate(event);
+            });
+            this.grid.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    activate(event);
+                }
+            });
+        }
+
+        /**
+         * Render all charts for the given organizations
+         * @param {Array} organizations - Filtered organizations
+         */
+        update(organizations) {
+            if (!this.grid) return;
+
+            const total = this.app.data ? this.app.data.length : 0;
+            if (this.countLabel) {
+                this.countLabel.textContent = this.app.t('common.organizationsOf', {
+                    count: this.app.formatNumber(organizations.length),
+                    total: this.app.formatNumber(total)
+                });
+            }
+
+            if (organizations.length === 0) {
+                this.grid.innerHTML = `
+                    <div class="agtech-dashboard-empty">
+                        <p>${this.app.t('dashboard.empty')}</p>
+                        <button type="button" class="agtech-control-btn" data-reset-filters>${this.app.t('common.resetFilters')}</button>
+                    </div>`;
+                return;
+            }
+
+            const filters = this.app.activeFilters;
+
+            this.grid.innerHTML = [
+                this.renderChart(this.app.t('colorMode.type.title'), this.renderBarChart(this.countBy(organizations,
+                    org => org.OrganizationType || 'Startup',
+                    type => ({
+                        label: this.app.translateType(type),
+                        color: this.app.getTypeColor(type),
+                        filter: 'type',
+                        active: Boolean(filters.types && filters.types.has(type))
+                    })))),
+                this.renderChart(this.app.t('colorMode.category.title'), this.renderBarChart(this.countBy(organizations,
+                    org => org.FinalCategories,
+                    category => ({
+                        label: this.app.translateCategory(category),
+                        color: this.app.getCategoryColor(category),
+                        filter: 'category',
+                        active: filters.categories.has(category)
+                    })))),
+                this.renderChart(this.app.t('dashboard.states'), this.renderBarChart(this.countBy(organizations,
+                    org => org.Bundesland,
+                    state => ({
+                        color: STATE_LAYER_STYLE.color,
+                        filter: 'state',
+                        active: filters.states.has(state)
+                    })))),
+                this.renderChart(this.app.t('colorMode.source.title'), this.renderBarChart(this.countBy(organizations,
+                    org => org.Source,
+                    source => ({
+                        color: '#4e5559',
+                        filter: 'source',
+                        active: filters.sources.has(source)
+                    })))),
+                this.renderChart(this.app.t('dashboard.foundingYears'), this.renderYearChart(organizations), 'wide'),
+                this.renderChart(this.app.t('dashboard.aiMention'), this.renderMentionChart(organizations)),
+                this.renderChart(this.app.t('dashboard.aiScore'), this.renderScoreChart(organizations))
+            ].join('');
+        }
+
+        /**
+         * Count organizations per value, most frequent first; empty values are skipped
+         * @param {Array} organizations - Organizations
+         * @param {Function} getValue - Value of an organization
+         * @param {Function} describe - Extra bar properties per value (label, color, filter, value, active)
+         * @returns {Array<Object>} Bars with label and count
+         */
+        countBy(organizations, getValue, describe) {
+            const counts = new Map();
+            organizations.forEach(org => {
+                const value = getValue(org);
+                if (value) counts.set(value, (counts.get(value) || 0) + 1);
+            });
+
+            return [...counts.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'de'))
+                .map(([label, count]) => ({ label, count, value: label, ...describe(label) }));
+        }
+
+        /**
+         * Wrap a chart in a card
+         * @param {string} title - Chart title
+         * @param {string} content - Chart markup
+         * @param {string} size - Optional size modifier ('wide')
+         * @returns {string} HTML
+         */
+        renderChart(title, content, size = '') {
+            return `
+                <figure class="agtech-chart${size ? ` agtech-chart-${size}` : ''}">
+                    <figcaption class="agtech-chart-title">${title}</figcaption>
+                    ${content}
+                </figure>`;
+        }
+
+        /**
+         * Attributes making a chart element act as a filter button
+         * @param {Object} bar - Bar with filter, value, label, count and active flag
+         * @returns {string} Attribute string
+         */
+        getFilterAttributes(bar) {
+            if (!bar.filter) return '';
+
+            return `class="agtech-chart-target${bar.active ? ' active' : ''}" role="button" tabindex="0"
+                data-filter="${bar.filter}" data-value="${Utils.escapeHtml(String(bar.value))}"
+                aria-pressed="${bar.active ? 'true' : 'false'}"
+                aria-label="${Utils.escapeHtml(`${bar.label}: ${bar.count}`)}"`;
+        }
+
+        /**
+         * Horizontal bar chart with the label above each bar
+         * @param {Array<Object>} bars - Bars (label, count, color, filter attributes)
+         * @returns {string} SVG markup
+         */
+        renderBarChart(bars) {
+            if (bars.length === 0) {
+                return `<p class="agtech-chart-empty">${this.app.t('dashboard.noData')}</p>`;
+            }
+
+            const width = 320;
+            const rowHeight = 30;
+            const maxBarWidth = 260;
+            const max = Math.max(...bars.map(bar => bar.count));
+
+            const rows = bars.map((bar, index) => {
+                const y = index * rowHeight;
+                const barWidth = Math.max(2, (bar.count / max) * maxBarWidth);
+
+                return `
+                    <g ${this.getFilterAttributes(bar)} transform="translate(0, ${y})">
+                        <title>${Utils.escapeHtml(bar.label)}: ${bar.count}</title>
+                        <rect class="agtech-chart-hit" x="0" y="0" width="${width}" height="${rowHeight}" fill="transparent"/>
+                        <text class="agtech-chart-label" x="0" y="11">${Utils.escapeHtml(bar.label)}</text>
+                        <rect class="agtech-chart-bar" x="0" y="15" width="${barWidth.toFixed(1)}" height="10" rx="2"
+                            fill="${bar.color}"/>
+                        <text class="agtech-chart-value" x="${(barWidth + 6).toFixed(1)}" y="24">${bar.count}</text>
+                    </g>`;
+            }).join('');
+
+            return `
+                <svg class="agtech-chart-svg" viewBox="0 0 ${width} ${bars.length * rowHeight}" role="group">
+                    ${rows}
+                </svg>`;
+        }
+
+        /**
+         * Line chart of foundings per year; clicking a point filters for that year
+         * @param {Array} organizations - Organizations
+         * @returns {string} SVG markup
+         */
+        renderYearChart(organizations) {
+            const counts = new Map();
+            organizations.forEach(org => {
+                if (org.foundingYear !== null) {
+                    counts.set(org.foundingYear, (counts.get(org.foundingYear) || 0) + 1);
+                }
+            });
+
+            const unknown = organizations.length - [...counts.values()].reduce((sum, n) => sum + n, 0);
+            const unknownNote = unknown > 0 ?
+                `<p class="agtech-chart-note">${this.app.t('dashboard.unknownYears', { count: unknown })}</p>` : '';
+
+            if (counts.size === 0) {
+                return `<p class="agtech-chart-empty">${this.app.t('dashboard.noData')}</p>${unknownNote}`;
+            }
+
+            const minYear = Math.min(...counts.keys());
+            const maxYear = Math.max(...counts.keys());
+            const years = [];
+            for (let year = minYear; year <= maxYear; year++) {
+                years.push(year);
+            }
+
+            const width = 640;
+            const height = 160;
+            const padding = { top: 12, right: 12, bottom: 24, left: 28 };
+            const max = Math.max(...counts.values());
+            const step = years.length > 1 ? (width - padding.left - padding.right) / (years.length - 1) : 0;
+            const x = index => padding.left + (years.length > 1 ? index * step : (width - padding.left - padding.right) / 2);
+            const y = count => height - padding.bottom - (count / max) * (height - padding.top - padding.bottom);
+
+            const selected = this.app.activeFilters.years;
+            const points = years.map((year, index) => `${x(index).toFixed(1)},${y(counts.get(year) || 0).toFixed(1)}`);
+            const labelEvery = Math.max(1, Math.ceil(years.length / 8));
+
+            const markers = years.map((year, index) => {
+                const count = counts.get(year) || 0;
+                const point = {
+                    label: String(year),
+                    count,
+                    filter: 'year',
+                    value: year,
+                    active: Boolean(selected && selected.min === year && selected.max === year)
+                };
+                const showLabel = index % labelEvery === 0 || index === years.length - 1;
+
+                return `
+                    <g ${this.getFilterAttributes(point)}>
+                        <title>${year}: ${count}</title>
+                        <rect class="agtech-chart-hit" x="${(x(index) - Math.max(step, 8) / 2).toFixed(1)}" y="0"
+                            width="${Math.max(step, 8).toFixed(1)}" height="${height}" fill="transparent"/>
+                        <circle class="agtech-chart-point" cx="${x(index).toFixed(1)}" cy="${y(count).toFixed(1)}" r="3.5"/>
+                        ${showLabel ? `<text class="agtech-chart-axis" x="${x(index).toFixed(1)}" y="${height - 6}"
+                            text-anchor="middle">${year}</text>` : ''}
+                    </g>`;
+            }).join('');
+
+            return `
+                <svg class="agtech-chart-svg" viewBox="0 0 ${width} ${height}" role="group">
+                    <line class="agtech-chart-gridline" x1="${padding.left}" x2="${width - padding.right}"
+                        y1="${y(0)}" y2="${y(0)}"/>
+                    <text class="agtech-chart-axis" x="${padding.left - 6}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+                    <text class="agtech-chart-axis" x="${padding.left - 6}" y="${y(0) + 4}" text-anchor="end">0</text>
+                    <polyline class="agtech-chart-line" points="${points.join(' ')}" fill="none"/>
+                    ${markers}
+                </svg>
+                ${unknownNote}`;
+        }
+
+        /**
+         * Share of organizations mentioning AI as a stacked bar
+         * @param {Array} organizations - Organizations
+         * @returns {string} Chart markup
+         */
+        renderMentionChart(organizations) {
+            const segments = [
+                { label: this.app.t('ai.mentions'), count: organizations.filter(org => org.aiMention === true).length, color: '#00CD6C' },
+                { label: this.app.t('ai.noMention'), count: organizations.filter(org => org.aiMention === false).length, color: '#A0B1BA' },
+                { label: this.app.t('ai.notAssessed'), count: organizations.filter(org => org.aiMention === null).length, color: '#e9ecef' }
+            ];
+
+            // The "mentions AI" segment toggles the corresponding filter
+            segments[0].filter = 'aiMention';
+            segments[0].value = 'true';
+            segments[0].active = this.app.activeFilters.aiMention;
+
+            const width = 320;
+            let offset = 0;
+            const rects = segments.filter(segment => segment.count > 0).map(segment => {
+                const segmentWidth = (segment.count / organizations.length) * width;
+                const rect = `
+                    <g ${this.getFilterAttributes(segment)}>
+                        <title>${segment.label}: ${segment.count}</title>
+                        <rect class="agtech-chart-bar" x="${offset.toFixed(1)}" y="0" width="${segmentWidth.toFixed(1)}" height="24"
+                            fill="${segment.color}"/>
+                    </g>`;
+                offset += segmentWidth;
+                return rect;
+            }).join('');
+
+            const legend = segments.map(segment => `
+                <li>
+                    <span class="agtech-chart-swatch" style="background: ${segment.color}" aria-hidden="true"></span>
+                    ${segment.label}: ${segment.count} (${Math.round((segment.count / organizations.length) * 100)} %)
+                </li>`).join('');
+
+            return `
+                <p class="agtech-chart-figure">${Math.round((segments[0].count / organizations.length) * 100)} %</p>
+                <svg class="agtech-chart-svg" viewBox="0 0 ${width} 24" role="group"
+                    aria-label="${this.app.t('dashboard.aiMentionLabel', { count: segments[0].count, total: organizations.length })}">
+                    ${rects}
+                </svg>
+                <ul class="agtech-chart-legend">${legend}</ul>`;
+        }
+
+        /**
+         * Histogram of the AiUseScore rounded to 0.1 (the resolution of the score filter);
+         * clicking a column filters for that score
+         * @param {Array} organizations - Organizations
+         * @returns {string} Chart markup
+         */
+        renderScoreChart(organizations) {
+            const bins = Array.from({ length: 11 }, () => 0);
+            let scored = 0;
+
+            organizations.forEach(org => {
+                if (org.aiUseScore === null) return;
+                bins[Math.max(0, Math.min(10, Math.round(org.aiUseScore * 10)))]++;
+                scored++;
+            });
+
+            const unscored = organizations.length - scored;
+            const note = unscored > 0 ? `<p class="agtech-chart-note">${this.app.t('dashboard.unscored', { count: unscored })}</p>` : '';
+
+            if (scored === 0) {
+                return `<p class="agtech-chart-empty">${this.app.t('dashboard.noData')}</p>${note}`;
+            }
 
-            const cardsHTML = organizations.map(org => this.createOrganizationCard(org)).join('');
-            this.content.innerHTML = cardsHTML;
-        }
+            const width = 320;
+            const height = 140;
+            const bottom = 20;
+            const columnWidth = width / bins.length;
+            const max = Math.max(...bins);
+
+            const selected = this.app.activeFilters.aiScore;
+
+            const columns = bins.map((count, index) => {
+                const columnHeight = (count / max) * (height - bottom - 14);
+                const x = index * columnWidth;
+                const score = index / 10;
+                const column = {
+                    label: `${this.app.t('ai.score')} ${this.app.formatNumber(score)}`,
+                    count,
+                    filter: count > 0 ? 'aiScore' : null,
+                    value: score,
+                    active: Boolean(selected && selected.min === score && selected.max === score)
+                };
 
-        createOrganizationCard(org) {
-            const typeColor = this.app.getTypeColor(org.OrganizationType);
-            const categoryColor = this.app.getCategoryColor(org.FinalCategories);
+                return `
+                    <g ${this.getFilterAttributes(column)}>
+                        <title>${column.label}: ${count}</title>
+                        <rect class="agtech-chart-hit" x="${x.toFixed(1)}" y="0" width="${columnWidth.toFixed(1)}"
+                            height="${height - bottom}" fill="transparent"/>
+                        <rect class="agtech-chart-bar" x="${(x + 2).toFixed(1)}" y="${(height - bottom - columnHeight).toFixed(1)}"
+                            width="${(columnWidth - 4).toFixed(1)}" height="${columnHeight.toFixed(1)}" rx="2"
+                            fill="${Utils.interpolateColor(...COLOR_SCHEMES.sequential, score)}"/>
+                        ${count > 0 ? `<text class="agtech-chart-value" x="${(x + columnWidth / 2).toFixed(1)}"
+                            y="${(height - bottom - columnHeight - 3).toFixed(1)}" text-anchor="middle">${count}</text>` : ''}
+                    </g>`;
+            }).join('');
 
             return `
-            <div class="agtech-org-card">
-                <div class="agtech-org-badges">
-                    <span class="agtech-org-badge" style="background-color: ${typeColor}">
-                        ${org.OrganizationType || 'Startup'}
-                    </span>
-                    ${org.FinalCategories ? `
-                        <span class="agtech-org-badge" style="background-color: ${categoryColor}">
-                            ${org.FinalCategories}
-                        </span>
-                    ` : ''}
-                </div>
-                <h3 class="agtech-org-name">${this.escapeHtml(org.OrganizationName)}</h3>
-                ${org.AiSummary ? `
-                    <p class="agtech-org-description">${this.escapeHtml(org.AiSummary)}</p>
-                ` : ''}
-                ${org.WebsiteUrl ? `
-                    <a href="${this.escapeHtml(org.WebsiteUrl)}" 
-                       target="_blank" 
-                       rel="noopener noreferrer" 
-                       class="agtech-org-link"
-                       onclick="event.stopPropagation();">
-                        Website besuchen
-                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                            <path d="M18 13V19C18 19.5304 17.7893 20.0391 17.4142 20.4142C17.0391 20.7893 16.5304 21 16 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V8C3 7.46957 3.21071 6.96086 3.58579 6.58579C3.96086 6.21071 4.46957 6 5 6H11M15 3H21V9M10 14L21 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        </svg>
-                    </a>
-                ` : ''}
-            </div>
-        `;
+                <svg class="agtech-chart-svg" viewBox="0 0 ${width} ${height}" role="group">
+                    ${columns}
+                    <text class="agtech-chart-axis" x="${columnWidth / 2}" y="${height - 4}" text-anchor="middle">0</text>
+                    <text class="agtech-chart-axis" x="${width / 2}" y="${height - 4}" text-anchor="middle">${this.app.formatNumber(0.5)}</text>
+                    <text class="agtech-chart-axis" x="${width - columnWidth / 2}" y="${height - 4}" text-anchor="middle">1</text>
+                </svg>
+                ${note}`;
         }
 
-        escapeHtml(text) {
-            if (!text) return '';
-            const div = document.createElement('div');
-            div.textContent = text.toString();
-            return div.innerHTML;
+        /**
+         * Toggle the filter behind a chart element
+         * @param {string} kind - Filter kind (type, category, state, source, year, aiMention, aiScore)
+         * @param {string} value - Filter value
+         */
+        applyChartFilter(kind, value) {
+            const filters = this.app.getFilters();
+            const toggle = (list) => list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+            switch (kind) {
+                case 'type':
+                    // Show only this type; clicking it again shows all types
+                    filters.types = filters.types && filters.types.length === 1 && filters.types[0] === value ?
+                        null : [value];
+                    break;
+                case 'category':
+                    filters.categories = toggle(filters.categories);
+                    break;
+                case 'state':
+                    filters.states = toggle(filters.states);
+                    break;
+                case 'source':
+                    filters.sources = toggle(filters.sources);
+                    break;
+                case 'aiMention':
+                    filters.aiMention = !filters.aiMention;
+                    break;
+                case 'aiScore': {
+                    const score = parseFloat(value);
+                    const isSelected = Boolean(filters.aiScore && filters.aiScore.min === score && filters.aiScore.max === score);
+                    filters.aiScore = isSelected ? null : { min: score, max: score };
+                    break;
+                }
+                case 'year': {
+                    const year = parseInt(value, 10);
+                    const isSelected = Boolean(filters.years && filters.years.min === year && filters.years.max === year);
+                    const hasSingleYear = Boolean(filters.years && filters.years.min === filters.years.max);
+
+                    // A single year hides unknown years; clearing it restores the previous choice
+                    // (unless it was switched on meanwhile)
+                    if (isSelected) {
+                        filters.includeUnknownYears = filters.includeUnknownYears || Boolean(this.includeUnknownYearsBeforeYear);
+                        this.includeUnknownYearsBeforeYear = null;
+                    } else {
+                        if (!hasSingleYear || this.includeUnknownYearsBeforeYear === null) {
+                            this.includeUnknownYearsBeforeYear = filters.includeUnknownYears;
+                        }
+                        filters.includeUnknownYears = false;
+                    }
+                    filters.years = isSelected ? null : { min: year, max: year };
+                    break;
+                }
+                default:
+                    return;
+            }
+
+            this.app.setFilters(filters, { fitBounds: true });
         }
     }
 
     /**
-     * Filter component handling filter UI and logic
+     * URL state component keeping filters, selection and map view in the location hash
+     *
+     * Hash format (URLSearchParams):
+     *   #type=Startup&type=Accelerator&category=Roboter+und+Mechanisierung&bundesland=Niedersachsen&source=Crunchbase
+     *   &q=drohne&years=2015-2020&unknownYears=0&ai=0.5-1&aiMention=1&color=source&density=count&lang=en
+     *   &open=12,57&map=51.1657,10.4515,6
      */
-    class FilterComponent {
+    class UrlStateComponent {
         /**
          * @param {AgTechMapApp} app - Reference to main app
          */
         constructor(app) {
             this.app = app;
-            this.typeFilters = document.getElementById('agtech-type-filters');
-            this.categoryFilters = document.getElementById('agtech-category-filters');
-            this.categoryGroup = document.getElementById('agtech-category-filter-group');
-            this.filterContent = document.getElementById('agtech-filter-content');
-            this.filterToggle = document.getElementById('agtech-filter-toggle');
-
-            this.activeFilters = {
-                type: null,
-                categories: new Set()
-            };
-        }
-
-        /**
-         * Initialize filters with data
-         * @param {Array} data - Organization data
-         */
-        initialize(data) {
-            this.createTypeFilters();
-            this.createCategoryFilters(data);
+            this.isRestoring = false;
+            this.isInitialized = false;
+            this.lastHash = null;
         }
 
         /**
-         * Create type filter buttons
+         * Restore state from the hash and listen for back/forward navigation
+         * @param {string} hash - Hash to restore (default: the current one)
          */
-        createTypeFilters() {
-            if (!this.typeFilters) return;
+        initialize(hash = window.location.hash) {
+            if (!this.app.config.urlState.enabled) return;
 
-            const typeButtons = [
-                { key: 'startup', label: 'Startups', color: COLOR_SCHEMES.types['Startup'] },
-                { key: 'other', label: 'Andere', color: '#4e5559' }
-            ];
+            if (hash) {
+                this.restore(hash);
+            }
+            this.isInitialized = true;
 
-            typeButtons.forEach(({ key, label, color }) => {
-                const button = document.createElement('button');
-                button.className = 'agtech-filter-btn';
-                button.textContent = label;
-                button.style.backgroundColor = color;
-                button.setAttribute('data-type', key);
-                button.setAttribute('aria-pressed', 'false');
+            // Normalize the hash without adding a history entry
+            this.update({ push: false });
 
-                button.addEventListener('click', () => this.handleTypeFilter(key, button));
-                this.typeFilters.appendChild(button);
-            });
+            const handleNavigation = () => {
+                if (window.location.hash !== this.lastHash) {
+                    this.restore(window.location.hash);
+                    this.lastHash = window.location.hash;
+                }
+            };
+            this.app.listen(window, 'popstate', handleNavigation);
+            this.app.listen(window, 'hashchange', handleNavigation);
         }
 
         /**
-         * Create category filter buttons
-         * @param {Array} data - Organization data
+         * Serialize the current application state
+         * @returns {string} Hash string including leading '#', or '' for the default state
          */
-        createCategoryFilters(data) {
-            if (!this.categoryFilters) return;
+        serialize() {
+            const params = new URLSearchParams();
+            const filters = this.app.activeFilters;
+
+            if (filters.types) {
+                // An empty value keeps "no type selected" apart from "all types"
+                if (filters.types.size === 0) params.set('type', '');
+                [...filters.types].sort().forEach(type => params.append('type', type));
+            }
+            [...filters.categories].sort().forEach(category => params.append('category', category));
+            [...filters.states].sort().forEach(state => params.append('bundesland', state));
+            [...filters.sources].sort().forEach(source => params.append('source', source));
+            if (filters.search) params.set('q', filters.search);
+            if (filters.years) params.set('years', `${filters.years.min}-${filters.years.max}`);
+            if (!filters.includeUnknownYears) params.set('unknownYears', '0');
+            if (filters.aiScore) params.set('ai', `${filters.aiScore.min}-${filters.aiScore.max}`);
+            if (filters.aiMention) params.set('aiMention', '1');
+            if (filters.proximity) {
+                const { lat, lng, radius, label } = filters.proximity;
+                params.set('near', `${lat.toFixed(4)},${lng.toFixed(4)},${radius}`);
+                if (label) params.set('place', label);
+            }
+            if (filters.region) {
+                params.set('region', filters.region.map(([lng, lat]) => `${lat.toFixed(4)},${lng.toFixed(4)}`).join(','));
+            }
+            if (this.app.colorMode !== this.app.defaultColorMode) params.set('color', this.app.colorMode);
+            if (this.app.mapComponent.densityWeight) params.set('density', this.app.mapComponent.densityWeight);
+            if (this.app.viewportOnly) params.set('viewport', '1');
+            if (this.app.language !== this.app.defaultLanguage) params.set('lang', this.app.language);
+
+            const mapComponent = this.app.mapComponent;
+            if (mapComponent.baseLayerKey !== mapComponent.defaultBaseLayerKey) params.set('base', mapComponent.baseLayerKey);
+            const overlays = mapComponent.getActiveOverlays();
+            if (overlays.join() !== mapComponent.getDefaultOverlays().join()) {
+                // An empty value keeps "no overlay" apart from the default overlays
+                if (overlays.length === 0) params.set('overlay', '');
+                overlays.forEach(overlay => params.append('overlay', overlay));
+            }
 
-            const categories = [...new Set(data.map(org => org.FinalCategories))]
-                .filter(Boolean)
-                .sort();
+            const detail = this.app.detailComponent;
+            if (detail.isVisible() && detail.currentOrganizations.length > 0) {
+                params.set('open', detail.currentOrganizations.map(org => org.IdNr).join(','));
+            }
 
-            categories.forEach(category => {
-                const button = document.createElement('button');
-                button.className = 'agtech-filter-btn';
-                button.textContent = category;
-                button.style.backgroundColor = this.app.getCategoryColor(category);
-                button.setAttribute('data-category', category);
-                button.setAttribute('aria-pressed', 'false');
+            const center = this.app.mapComponent.getCenter();
+            if (center) {
+                const zoom = this.app.mapComponent.getZoom();
+                params.set('map', `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${zoom}`);
+            }
 
-                button.addEventListener('click', () => this.handleCategoryFilter(category, button));
-                this.categoryFilters.appendChild(button);
-            });
+            // Commas are valid in fragments and keep coordinates and id lists readable
+            const hash = params.toString().replace(/%2C/gi, ',');
+            return hash ? `#${hash}` : '';
         }
 
         /**
-         * Handle type filter selection
-         * @param {string} type - Filter type (startup/other)
-         * @param {HTMLElement} button - Button element
+         * Parse a hash string into filter, selection and view state
+         * @param {string} hash - Location hash
+         * @returns {Object} Parsed state
          */
-        handleTypeFilter(type, button) {
-            const isActive = this.activeFilters.type === type;
+        parse(hash) {
+            const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+
+            const state = {
+                filters: {
+                    ...createDefaultFilters(),
+                    types: this.parseTypes(params),
+                    categories: new Set(params.getAll('category').filter(Boolean)),
+                    states: new Set(params.getAll('bundesland').filter(Boolean)),
+                    sources: new Set(params.getAll('source').filter(Boolean)),
+                    search: (params.get('q') || '').trim()
+                },
+                open: (params.get('open') || '').split(',').filter(Boolean),
+                colorMode: Object.keys(COLOR_MODES).includes(params.get('color')) ? params.get('color') : null,
+                density: Object.keys(DENSITY_WEIGHTS).includes(params.get('density')) ? params.get('density') : null,
+                viewportOnly: params.get('viewport') === '1',
+                language: MESSAGES[params.get('lang')] ? params.get('lang') : null,
+                baseLayer: params.get('base'),
+                overlays: params.has('overlay') ? params.getAll('overlay').filter(Boolean) : null,
+                view: null
+            };
 
-            // Reset all type buttons
-            this.typeFilters.querySelectorAll('.agtech-filter-btn').forEach(btn => {
-                btn.classList.remove('active');
-                btn.setAttribute('aria-pressed', 'false');
-            });
+            const [minYear, maxYear] = (params.get('years') || '').split('-').map(Number);
+            if (Number.isInteger(minYear) && Number.isInteger(maxYear) && minYear > 0 && minYear <= maxYear) {
+                state.filters.years = { min: minYear, max: maxYear };
+            }
+            state.filters.includeUnknownYears = params.get('unknownYears') !== '0';
 
-            if (isActive) {
-                // Deactivate current filter
-                this.activeFilters.type = null;
-                this.toggleCategoryFilters(true);
-            } else {
-                // Activate new filter
-                this.activeFilters.type = type;
-                button.classList.add('active');
-                button.setAttribute('aria-pressed', 'true');
+            const [minScore, maxScore] = (params.get('ai') || '').split('-').map(Number);
+            if (params.get('ai') && minScore >= 0 && maxScore <= 1 && minScore <= maxScore) {
+                state.filters.aiScore = { min: minScore, max: maxScore };
+            }
+            state.filters.aiMention = params.get('aiMention') === '1';
 
-                // Show/hide category filters based on type
-                this.toggleCategoryFilters(type === 'startup');
+            const [nearLat, nearLng, radius] = (params.get('near') || '').split(',').map(Number);
+            if ([nearLat, nearLng, radius].every(Number.isFinite) && radius > 0 &&
+                Math.abs(nearLat) <= 90 && Math.abs(nearLng) <= 180) {
+                state.filters.proximity = { lat: nearLat, lng: nearLng, radius, label: params.get('place') || '' };
+            }
 
-                if (type === 'other') {
-                    // Clear category filters when showing 'other'
-                    this.clearCategoryFilters();
+            // Region as lat,lng pairs: "lat,lng,lat,lng,..."
+            const regionValues = (params.get('region') || '').split(',').map(Number);
+            if (regionValues.length >= 6 && regionValues.length % 2 === 0 && regionValues.every(Number.isFinite)) {
+                state.filters.region = [];
+                for (let i = 0; i < regionValues.length; i += 2) {
+                    state.filters.region.push([regionValues[i + 1], regionValues[i]]);
                 }
             }
 
-            this.updateFilters();
+            const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+            if ([lat, lng, zoom].every(Number.isFinite) &&
+                Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+                state.view = { center: [lat, lng], zoom };
+            }
+
+            return state;
         }
 
         /**
-         * Handle category filter selection
-         * @param {string} category - Category name
-         * @param {HTMLElement} button - Button element
+         * Read the type filter; the former values `startup` and `other` are still understood
+         * @param {URLSearchParams} params - Hash parameters
+         * @returns {Set<string>|null} Selected types, null for all
          */
-        handleCategoryFilter(category, button) {
-            const isActive = button.classList.contains('active');
-
-            if (isActive) {
-                button.classList.remove('active');
-                button.setAttribute('aria-pressed', 'false');
-                this.activeFilters.categories.delete(category);
-            } else {
-                button.classList.add('active');
-                button.setAttribute('aria-pressed', 'true');
-                this.activeFilters.categories.add(category);
-            }
+        parseTypes(params) {
+            if (!params.has('type')) return null;
 
-            this.updateFilters();
+            const types = params.getAll('type').filter(Boolean).flatMap(type =>
+                ['startup', 'other'].includes(type) ? this.app.expandLegacyType(type) : [type]);
+            return new Set(types);
         }
 
         /**
-         * Toggle category filter visibility
-         * @param {boolean} show - Whether to show category filters
+         * Apply the state encoded in a hash to filters, detail panel and map
+         * @param {string} hash - Location hash
          */
-        toggleCategoryFilters(show) {
-            if (this.categoryGroup) {
-                if (show) {
-                    this.categoryGroup.classList.remove('hidden');
+        restore(hash) {
+            if (!this.app.data) return;
+
+            const state = this.parse(hash);
+
+            // Another language rebuilds the app, which then restores the hash itself
+            const language = state.language || this.app.defaultLanguage;
+            if (language !== this.app.language) {
+                this.app.setLanguage(language, { state: hash });
+                return;
+            }
+
+            this.isRestoring = true;
+
+            try {
+                // Markers are re-rendered with the new colors by the filter update
+                this.app.setColorMode(state.colorMode || this.app.defaultColorMode, { refresh: false });
+                this.app.mapComponent.setDensityView(state.density);
+                this.app.setViewportOnly(state.viewportOnly, { refresh: false });
+                this.app.mapComponent.setBaseLayer(state.baseLayer);
+                this.app.mapComponent.setOverlays(state.overlays);
+                this.app.setFilters(state.filters, { fitBounds: !state.view });
+
+                if (state.view) {
+                    this.app.mapComponent.setView(state.view.center, state.view.zoom);
+                }
+
+                const openIds = new Set(state.open);
+                const organizations = this.app.filteredData.filter(org => openIds.has(org.IdNr));
+                if (organizations.length > 0) {
+                    this.app.detailComponent.show(organizations, this.getLocationName(organizations));
                 } else {
-                    this.categoryGroup.classList.add('hidden');
+                    this.app.detailComponent.hide();
                 }
+            } catch (error) {
+                console.warn('Could not restore state from URL:', error);
+            } finally {
+                this.isRestoring = false;
             }
         }
 
         /**
-         * Clear all category filters
+         * Determine the detail panel title for restored organizations
+         * @param {Array} organizations - Organizations to show
+         * @returns {string} Location name
          */
-        clearCategoryFilters() {
-            this.activeFilters.categories.clear();
-            this.categoryFilters.querySelectorAll('.agtech-filter-btn').forEach(btn => {
-                btn.classList.remove('active');
-                btn.setAttribute('aria-pressed', 'false');
-            });
-        }
+        getLocationName(organizations) {
+            const sameLocation = organizations.every(org =>
+                org.latitude === organizations[0].latitude && org.longitude === organizations[0].longitude);
 
-        /**
-         * Update filters in the main app
-         */
-        updateFilters() {
-            this.app.updateFilters({ ...this.activeFilters });
+            if (sameLocation) {
+                return organizations[0].Headquarter || this.app.t('location.here');
+            }
+            return this.app.mapComponent.determineClusterLocation(organizations);
         }
 
         /**
-         * Toggle mobile filter visibility
+         * Write the current state to the URL hash
+         * @param {Object} options - Update options
+         * @param {boolean} options.push - Create a new history entry instead of replacing the current one
          */
-        toggleMobileFilters() {
-            if (this.filterContent && this.filterToggle) {
-                const isCollapsed = this.filterContent.classList.contains('collapsed');
+        update({ push = false } = {}) {
+            if (!this.isInitialized || this.isRestoring || this.app.isDestroyed) return;
 
-                if (isCollapsed) {
-                    this.filterContent.classList.remove('collapsed');
-                    this.filterToggle.textContent = 'Filter ausblenden';
+            const hash = this.serialize();
+            if (hash === window.location.hash) return;
+
+            // Keep path and query, only the hash carries app state
+            const url = `${window.location.pathname}${window.location.search}${hash}`;
+
+            try {
+                if (push) {
+                    history.pushState(null, '', url);
                 } else {
-                    this.filterContent.classList.add('collapsed');
-                    this.filterToggle.textContent = 'Filter anzeigen';
+                    history.replaceState(null, '', url);
                 }
+                this.lastHash = window.location.hash;
+            } catch (error) {
+                console.warn('Could not update URL state:', error);
             }
         }
     }
 
     /**
-     * Table component handling data table functionality
+     * Checks of the validation report: severity per problem code, labeled by the messages `check.<code>`.
+     * Codes of loader problems (see DataLoaders) are included.
      */
-    class TableComponent {
+    const VALIDATION_CHECKS = {
+        'parse': { severity: 'error' },
+        'missing-name': { severity: 'error' },
+        'missing-coordinates': { severity: 'error' },
+        'invalid-coordinates': { severity: 'error' },
+        'outside-germany': { severity: 'error' },
+        'state-mismatch': { severity: 'warning' },
+        'unknown-type': { severity: 'warning' },
+        'unknown-category': { severity: 'warning' },
+        'duplicate-name': { severity: 'warning' },
+        'duplicate-url': { severity: 'warning' },
+        'malformed-url': { severity: 'warning' },
+        'unknown-year': { severity: 'info' }
+    };
+
+    /**
+     * Validation report for the data maintainers.
+     * Lists every row (by IdNr) with its problems; shown with ?validate=1 or CONFIG.validation.enabled.
+     */
+    class ValidationComponent {
         /**
          * @param {AgTechMapApp} app - Reference to main app
          */
         constructor(app) {
             this.app = app;
-            this.tableBody = document.getElementById('agtech-table-body');
-            this.currentData = [];
-            this.filteredData = [];
-
-            // Performance optimization
-            this.renderTimeout = null;
+            this.section = null;
+            this.activeCheck = null;
         }
 
         /**
-         * Initialize table with data
-         * @param {Array} data - Organization data
+         * Whether the report is requested
+         * @returns {boolean} Validation mode active
          */
-        initialize(data) {
-            this.currentData = data;
-            this.filteredData = [...data];
-            this.renderTable();
+        isEnabled() {
+            return this.app.config.validation.enabled ||
+                new URLSearchParams(window.location.search).get('validate') === '1';
         }
 
         /**
-         * Apply filters to table data
-         * @param {Object} filters - Active filter state
+         * Validate the data and render the report if validation mode is active
          */
-        applyFilters(filters) {
-            // Clear existing timeout
-            if (this.renderTimeout) {
-                clearTimeout(this.renderTimeout);
-            }
+        async initialize() {
+            if (!this.isEnabled()) return;
 
-            // Debounce rendering for better performance
-            this.renderTimeout = setTimeout(() => {
-                this.filteredData = this.currentData.filter(org => {
-                    return this.matchesFilters(org, filters);
-                });
+            try {
+                const report = await this.validate();
+                if (this.app.isDestroyed) return;
 
-                this.renderTable();
-            }, CONFIG.performance.debounceDelay);
+                this.render(report);
+            } catch (error) {
+                console.error('Validation failed:', error);
+            }
         }
 
         /**
-         * Check if organization matches active filters
-         * @param {Object} org - Organization data
-         * @param {Object} filters - Filter criteria
-         * @returns {boolean} Whether organization matches filters
+         * Run all checks
+         * @returns {Promise<Object>} Report: { total, rows: [{ id, row, name, problems }], counts, columns, notes }
          */
-        matchesFilters(org, filters) {
-            // Type filter logic
-            const typeMatch = filters.type === null ||
-                (filters.type === 'startup' &&
-                    (org.OrganizationType === 'Startup' || !org.OrganizationType)) ||
-                (filters.type === 'other' &&
-                    org.OrganizationType && org.OrganizationType !== 'Startup');
-
-            // Category filter logic (only apply if not showing 'other' type)
-            const categoryMatch = filters.type === 'other' ||
-                filters.categories.size === 0 ||
-                filters.categories.has(org.FinalCategories);
+        async validate() {
+            const data = this.app.data || [];
+            const rows = new Map();
+            const notes = [];
+            const t = (key, params) => this.app.t(key, params);
+
+            const add = (key, name, code, message) => {
+                if (!rows.has(key)) {
+                    rows.set(key, { id: key, name, problems: [] });
+                }
+                rows.get(key).problems.push({ code, message, label: t(`check.${code}`), ...VALIDATION_CHECKS[code] });
+            };
 
-            return typeMatch && categoryMatch;
-        }
+            // Problems found while reading the source (dropped rows, unusable coordinates)
+            this.app.getDataProblems().forEach(problem => {
+                const code = VALIDATION_CHECKS[problem.code] ? problem.code : 'parse';
+                const org = problem.id && data.find(item => item.IdNr === problem.id);
+                add(problem.id || t('validation.row', { row: problem.row }), org ? org.OrganizationName : '', code, problem.message);
+            });
 
-        /**
-         * Render table with current filtered data
-         */
-        renderTable() {
-            if (!this.tableBody) return;
+            const [[south, west], [north, east]] = this.app.config.validation.bounds;
 
-            // Performance optimization for large datasets
-            if (this.filteredData.length > CONFIG.performance.maxTableRows) {
-                this.renderVirtualizedTable();
-            } else {
-                this.renderStandardTable();
+            data.forEach(org => {
+                const report = (code, message) => add(org.IdNr, org.OrganizationName, code, message);
+
+                if (org.latitude !== null &&
+                    (org.latitude < south || org.latitude > north || org.longitude < west || org.longitude > east)) {
+                    report('outside-germany', t('problem.outsideGermany', { latitude: org.latitude, longitude: org.longitude }));
+                }
+
+                if (!COLOR_SCHEMES.types[org.OrganizationType]) {
+                    report('unknown-type', t('problem.unknownType', { type: org.OrganizationType }));
+                }
+
+                if (org.FinalCategories && !COLOR_SCHEMES.categories[org.FinalCategories]) {
+                    report('unknown-category', t('problem.unknownCategory', { category: org.FinalCategories }));
+                }
+
+                [['WebsiteUrl', 'website'], ['SourceUrl', 'source']].forEach(([field, column]) => {
+                    if (org[field] && !Utils.isHttpUrl(org[field].trim())) {
+                        report('malformed-url', t('problem.malformedUrl', { field: t(`column.${column}`), url: org[field] }));
+                    }
+                });
+
+                if (org.FoundingYear && org.FoundingYear.trim() && org.foundingYear === null) {
+                    report('unknown-year', t('problem.unknownYear', { year: org.FoundingYear }));
+                }
+            });
+
+            this.findDuplicates(data, org => Utils.normalizeSearchText(org.OrganizationName))
+                .forEach(([org, others]) => {
+                    add(org.IdNr, org.OrganizationName, 'duplicate-name', t('problem.duplicateName', { ids: others.join(', ') }));
+                });
+
+            this.findDuplicates(data, org => this.normalizeUrl(org.WebsiteUrl))
+                .forEach(([org, others]) => {
+                    add(org.IdNr, org.OrganizationName, 'duplicate-url', t('problem.duplicateUrl', { ids: others.join(', ') }));
+                });
+
+            try {
+                const boundaries = await this.app.mapComponent.loadStateBoundaries();
+                this.checkStates(data, boundaries, add);
+            } catch (error) {
+                notes.push(t('validation.stateCheckFailed', { message: error.message }));
             }
-        }
 
-        /**
-         * Render standard table (for smaller datasets)
-         */
-        renderStandardTable() {
-            const rowsHTML = this.filteredData
-                .map(org => this.createTableRow(org))
-                .join('');
+            const sortedRows = [...rows.values()].sort((a, b) =>
+                a.id.localeCompare(b.id, 'de', { numeric: true })
+            );
 
-            this.tableBody.innerHTML = rowsHTML;
+            const counts = {};
+            sortedRows.forEach(row => {
+                new Set(row.problems.map(problem => problem.code)).forEach(code => {
+                    counts[code] = (counts[code] || 0) + 1;
+                });
+            });
+
+            const report = {
+                // Rows dropped while loading count as checked as well
+                total: data.length + this.app.getDataProblems().filter(problem => problem.code === 'missing-name').length,
+                rows: sortedRows,
+                counts,
+                columns: this.app.dataColumns,
+                notes
+            };
+
+            this.app.emit('validate', { report });
+            return report;
         }
 
         /**
-         * Render virtualized table (for large datasets)
-         * Note: Simplified virtualization - in production, consider using a library
+         * Find organizations sharing the same key
+         * @param {Array} data - Organizations
+         * @param {Function} getKey - Returns the comparison key or '' to skip
+         * @returns {Array<Array>} Pairs of [organization, IdNrs of the other duplicates]
          */
-        renderVirtualizedTable() {
-            const visibleRows = CONFIG.performance.virtualScrollThreshold;
-            const visibleData = this.filteredData.slice(0, visibleRows);
+        findDuplicates(data, getKey) {
+            const groups = new Map();
 
-            const rowsHTML = visibleData
-                .map(org => this.createTableRow(org))
-                .join('');
+            data.forEach(org => {
+                const key = getKey(org);
+                if (!key) return;
 
-            // Add indicator for remaining rows
-            const remainingCount = this.filteredData.length - visibleRows;
-            const remainingHTML = remainingCount > 0 ? `
-                <tr class="agtech-table-remaining">
-                    <td colspan="5" style="text-align: center; padding: 2rem; color: #666;">
-                        ... und ${remainingCount} weitere Einträge
-                        <br>
-                        <small>Nutzen Sie Filter um die Anzahl zu reduzieren</small>
-                    </td>
-                </tr>
-            ` : '';
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(org);
+            });
 
-            this.tableBody.innerHTML = rowsHTML + remainingHTML;
+            return [...groups.values()]
+                .filter(group => group.length > 1)
+                .flatMap(group => group.map(org => [
+                    org,
+                    group.filter(other => other !== org).map(other => other.IdNr)
+                ]));
         }
 
         /**
-         * Create HTML for table row
-         * @param {Object} org - Organization data
-         * @returns {string} HTML string
+         * Normalize a URL for duplicate detection (protocol, www and trailing slash are ignored)
+         * @param {string} url - URL
+         * @returns {string} Comparable URL or '' if empty
          */
-        createTableRow(org) {
-            const typeColor = this.app.getTypeColor(org.OrganizationType);
-            const categoryColor = this.app.getCategoryColor(org.FinalCategories);
-
-            return `
-                <tr>
-                    <td>
-                        <strong>${this.escapeHtml(org.OrganizationName)}</strong>
-                    </td>
-                    <td>
-                        <span class="agtech-table-badge" style="background-color: ${typeColor}">
-                            ${this.escapeHtml(org.OrganizationType || 'Startup')}
-                        </span>
-                    </td>
-                    <td>
-                        ${org.FinalCategories ? `
-                            <span class="agtech-table-badge" style="background-color: ${categoryColor}">
-                                ${this.escapeHtml(org.FinalCategories)}
-                            </span>
-                        ` : '<span style="color: #999;">N/A</span>'}
-                    </td>
-                    <td>
-                        ${org.Headquarter ? this.escapeHtml(org.Headquarter) : '<span style="color: #999;">N/A</span>'}
-                    </td>
-                    <td>
-                        ${org.WebsiteUrl ? `
-                            <a href="${this.escapeHtml(org.WebsiteUrl)}" 
-                                target="_blank" 
-                                rel="noopener noreferrer" 
-                                class="agtech-table-link">
-                                Website besuchen
-                            </a>
-                        ` : '<span style="color: #999;">N/A</span>'}
-                    </td>
-                </tr>
-            `;
+        normalizeUrl(url) {
+            return (url || '').trim().toLowerCase()
+                .replace(/^[a-z]+:\/\//, '')
+                .replace(/^www\./, '')
+                .replace(/[/?#]+$/, '');
         }
 
         /**
-         * Escape HTML to prevent XSS
-         * @param {string} text - Text to escape
-         * @returns {string} Escaped text
+         * Compare the Bundesland column with the state containing the coordinates
+         * @param {Array} data - Organizations
+         * @param {Object} boundaries - GeoJSON FeatureCollection of the states
+         * @param {Function} add - Report callback (key, name, code, message)
          */
-        escapeHtml(text) {
-            if (!text) return '';
-            const div = document.createElement('div');
-            div.textContent = text.toString();
-            return div.innerHTML;
+        checkStates(data, boundaries, add) {
+            const tolerance = this.app.config.validation.stateToleranceKm;
+            const knownStates = new Set(boundaries.features.map(feature => feature.properties.name));
+            const t = (key, params) => this.app.t(key, params);
+
+            data.forEach(org => {
+                const report = message => add(org.IdNr, org.OrganizationName, 'state-mismatch', message);
+
+                if (org.Bundesland && !knownStates.has(org.Bundesland)) {
+                    report(t('problem.unknownState', { state: org.Bundesland }));
+                    return;
+                }
+                if (org.latitude === null) return;
+
+                const state = this.findState(org.latitude, org.longitude, boundaries.features, tolerance);
+                if (!state || state === org.Bundesland) return;
+
+                report(org.Bundesland ?
+                    t('problem.stateMismatch', { state: org.Bundesland, location: state }) :
+                    t('problem.missingState', { location: state }));
+            });
         }
 
         /**
-         * Get current filtered data count
-         * @returns {number} Number of filtered items
+         * Find the state containing a point; near the (simplified) borders the closest state within the tolerance
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Array} features - State features
+         * @param {number} toleranceKm - Maximum distance to a state border
+         * @returns {string|null} State name
          */
-        getFilteredCount() {
-            return this.filteredData.length;
+        findState(lat, lng, features, toleranceKm) {
+            const containing = features.find(feature => Utils.pointInGeometry(lat, lng, feature.geometry));
+            if (containing) return containing.properties.name;
+
+            let nearest = null;
+            let nearestDistance = toleranceKm;
+            features.forEach(feature => {
+                const distance = Utils.distanceToGeometry(lat, lng, feature.geometry);
+                if (distance <= nearestDistance) {
+                    nearest = feature.properties.name;
+                    nearestDistance = distance;
+                }
+            });
+            return nearest;
         }
 
         /**
-         * Export filtered data as CSV
-         * @returns {string} CSV string
+         * Render the report above the map
+         * @param {Object} report - Result of validate()
          */
-        exportAsCSV() {
-            const headers = ['Name', 'Typ', 'Kategorie', 'Hauptsitz', 'Website'];
-            const rows = this.filteredData.map(org => [
-                org.OrganizationName,
-                org.OrganizationType || 'Startup',
-                org.FinalCategories || '',
-                org.Headquarter || '',
-                org.WebsiteUrl || ''
-            ]);
+        render(report) {
+            if (!this.section) {
+                this.section = document.createElement('details');
+                this.section.className = 'agtech-validation';
+                this.section.id = `${this.app.idPrefix}-validation`;
+                this.section.open = true;
+                this.app.root.insertBefore(this.section, this.app.root.querySelector('.agtech-main'));
+
+                this.section.addEventListener('click', (event) => {
+                    const checkButton = event.target.closest('[data-check]');
+                    const focusButton = event.target.closest('[data-focus]');
+
+                    if (checkButton) {
+                        this.activeCheck = this.activeCheck === checkButton.dataset.check ? null : checkButton.dataset.check;
+                        this.render(this.report);
+                    } else if (focusButton) {
+                        this.app.focusOrganization(focusButton.dataset.focus);
+                        this.app.scrollToElement('app');
+                    }
+                });
+            }
+            this.report = report;
+
+            const escape = Utils.escapeHtml;
+            const t = (key, params) => this.app.t(key, params);
+            const rows = this.activeCheck ?
+                report.rows.filter(row => row.problems.some(problem => problem.code === this.activeCheck)) :
+                report.rows;
+
+            const checks = Object.entries(VALIDATION_CHECKS)
+                .filter(([code]) => report.counts[code])
+                .map(([code, check]) => `
+                    <button type="button" class="agtech-validation-check agtech-validation-${check.severity}${this.activeCheck === code ? ' active' : ''}"
+                        data-check="${code}" aria-pressed="${this.activeCheck === code}">
+                        ${escape(t(`check.${code}`))} <span class="agtech-validation-count">${report.counts[code]}</span>
+                    </button>
+                `).join('');
+
+            const columns = [
+                ...report.columns.renamed.map(([source, field]) =>
+                    t('validation.columnRenamed', { column: escape(source), field: escape(field) })),
+                ...report.columns.ignored.map(source => t('validation.columnIgnored', { column: escape(source) })),
+                ...report.notes.map(escape)
+            ];
 
-            const csvContent = [headers, ...rows]
-                .map(row => row.map(field => `"${field.replace(/"/g, '""')}"`).join(','))
-                .join('\n');
+            const tableRows = rows.map(row => {
+                const org = this.app.data.find(item => item.IdNr === row.id);
+                const canFocus = org && org.latitude !== null;
+
+                return `
+                    <tr>
+                        <td>${escape(row.id)}</td>
+                        <td>
+                            ${canFocus ?
+                                `<button type="button" class="agtech-validation-focus" data-focus="${escape(row.id)}">${escape(row.name)}</button>` :
+                                escape(row.name)}
+                        </td>
+                        <td>
+                            <ul class="agtech-validation-problems">
+                                ${row.problems.map(problem => `
+                                    <li class="agtech-validation-${problem.severity}">
+                                        <strong>${escape(problem.label)}:</strong> ${escape(problem.message)}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
 
-            return csvContent;
+            this.section.innerHTML = `
+                <summary>
+                    ${t('validation.summary', { count: report.rows.length, total: report.total })}
+                </summary>
+                <div class="agtech-validation-checks">${checks}</div>
+                ${columns.length > 0 ? `
+                    <ul class="agtech-validation-notes">
+                        ${columns.map(note => `<li>${note}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <div class="agtech-validation-scroll">
+                    <table class="agtech-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">IdNr</th>
+                                <th scope="col">${t('column.name')}</th>
+                                <th scope="col">${t('validation.problems')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${tableRows || `<tr><td colspan="3">${t('validation.noProblems')}</td></tr>`}
+                        </tbody>
+                    </table>
+                </div>
+            `;
         }
     }
 
@@ -1792,10 +7383,11 @@
         /**
          * Format number with thousand separators
          * @param {number} num - Number to format
+         * @param {string} locale - Locale of the notation
          * @returns {string} Formatted number
          */
-        formatNumber(num) {
-            return new Intl.NumberFormat('de-DE').format(num);
+        formatNumber(num, locale = 'de-DE') {
+            return new Intl.NumberFormat(locale).format(num);
         },
 
         /**
@@ -1812,6 +7404,181 @@
             }
         },
 
+        /**
+         * Check that a URL is an absolute http(s) link (safe to use as href)
+         * @param {string} url - URL to check
+         * @returns {boolean} Whether URL is a valid http(s) URL
+         */
+        isHttpUrl(url) {
+            if (!url || !Utils.isValidUrl(url)) return false;
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        },
+
+        /**
+         * Escape HTML to prevent XSS
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped text
+         */
+        escapeHtml(text) {
+            if (!text) return '';
+            return text.toString()
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+        /**
+         * Fold text for umlaut/ß-insensitive search.
+         * Lowercases, strips diacritics and maps ß → ss, so "Osnabrück" and "osnabruck" fold to the
+         * same string. Written-out umlauts (ae/oe/ue) stay, see getTermVariants() for the query side.
+         * @param {string} text - Text to fold
+         * @returns {{folded: string, starts: Array<number>, ends: Array<number>}}
+         *          Folded text plus the original start/end index of every folded character
+         */
+        foldText(text) {
+            const source = text ? text.toString() : '';
+            let folded = '';
+            const starts = [];
+            const ends = [];
+
+            for (let i = 0; i < source.length; i++) {
+                const start = i;
+                let chars = source[i].toLowerCase();
+
+                if (chars === 'ß') {
+                    chars = 'ss';
+                } else {
+                    chars = chars.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                }
+
+                for (const char of chars) {
+                    folded += char;
+                    starts.push(start);
+                    ends.push(i + 1);
+                }
+            }
+
+            return { folded, starts, ends };
+        },
+
+        /**
+         * Normalize text for search comparisons
+         * @param {string} text - Text to normalize
+         * @returns {string} Folded text
+         */
+        normalizeSearchText(text) {
+            return Utils.foldText(text).folded;
+        },
+
+        /**
+         * Split a search query into normalized terms
+         * @param {string} query - Raw search input
+         * @returns {Array<string>} Normalized, non-empty search terms
+         */
+        getSearchTerms(query) {
+            if (!query) return [];
+            return Utils.normalizeSearchText(query)
+                .split(/\s+/)
+                .filter(Boolean);
+        },
+
+        /**
+         * Spellings a search term may match: the term itself and, if it contains ae/oe/ue,
+         * the term with these read as umlauts ("osnabrueck" also finds "Osnabrück").
+         * Only the query is collapsed, so "energie" still finds "Bioenergie".
+         * @param {string} term - Normalized search term
+         * @returns {Array<string>} Folded variants of the term
+         */
+        getTermVariants(term) {
+            const collapsed = term.replace(/([aou])e/g, '$1');
+            return collapsed === term ? [term] : [term, collapsed];
+        },
+
+        /**
+         * Find all ranges in the original text matching any of the search terms
+         * @param {string} text - Original text
+         * @param {Array<string>} terms - Normalized search terms
+         * @returns {Array<Array<number>>} Sorted, merged [start, end] ranges
+         */
+        findMatchRanges(text, terms) {
+            if (!text || terms.length === 0) return [];
+
+            const { folded, starts, ends } = Utils.foldText(text);
+            const ranges = [];
+
+            terms.flatMap(Utils.getTermVariants).forEach(term => {
+                let index = folded.indexOf(term);
+                while (index !== -1) {
+                    ranges.push([starts[index], ends[index + term.length - 1]]);
+                    index = folded.indexOf(term, index + term.length);
+                }
+            });
+
+            ranges.sort((a, b) => a[0] - b[0]);
+
+            return ranges.reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push([...range]);
+                }
+                return merged;
+            }, []);
+        },
+
+        /**
+         * Escape text and wrap search matches in <mark> elements
+         * @param {string} text - Text to highlight
+         * @param {Array<string>} terms - Normalized search terms
+         * @returns {string} Escaped HTML with highlighted matches
+         */
+        highlightText(text, terms) {
+            if (!text) return '';
+
+            const source = text.toString();
+            const ranges = Utils.findMatchRanges(source, terms);
+            if (ranges.length === 0) return Utils.escapeHtml(source);
+
+            let html = '';
+            let position = 0;
+            ranges.forEach(([start, end]) => {
+                html += Utils.escapeHtml(source.slice(position, start));
+                html += `<mark class="agtech-search-match">${Utils.escapeHtml(source.slice(start, end))}</mark>`;
+                position = end;
+            });
+            html += Utils.escapeHtml(source.slice(position));
+
+            return html;
+        },
+
+        /**
+         * Build a short highlighted excerpt around the first search match
+         * @param {string} text - Text to search in
+         * @param {Array<string>} terms - Normalized search terms
+         * @param {number} radius - Characters of context on each side
+         * @returns {string} Highlighted excerpt HTML or empty string if nothing matches
+         */
+        getSearchSnippet(text, terms, radius = 60) {
+            const ranges = Utils.findMatchRanges(text, terms);
+            if (ranges.length === 0) return '';
+
+            // Markdown syntax is noise in a one-line excerpt
+            const source = text.toString();
+            const start = Math.max(0, ranges[0][0] - radius);
+            const end = Math.min(source.length, ranges[0][1] + radius);
+            let excerpt = source.slice(start, end);
+
+            // Do not cut words in half at the excerpt borders
+            if (start > 0) excerpt = excerpt.replace(/^\S*\s/, '');
+            if (end < source.length) excerpt = excerpt.replace(/\s\S*$/, '');
+            excerpt = excerpt.replace(/[#*]+/g, '').replace(/\s+/g, ' ').trim();
+
+            return `${start > 0 ? '… ' : ''}${Utils.highlightText(excerpt, terms)}${end < source.length ? ' …' : ''}`;
+        },
+
         /**
          * Get responsive breakpoint
          * @returns {string} Current breakpoint
@@ -1821,9 +7588,521 @@
             if (width < 768) return 'mobile';
             if (width < 1024) return 'tablet';
             return 'desktop';
+        },
+
+        /**
+         * Interpolate between two hex colors
+         * @param {string} from - Start color (#RRGGBB)
+         * @param {string} to - End color (#RRGGBB)
+         * @param {number} t - Position between 0 (from) and 1 (to)
+         * @returns {string} Color hex code
+         */
+        interpolateColor(from, to, t) {
+            const channels = color => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+            const [a, b] = [channels(from), channels(to)];
+
+            return '#' + a.map((value, i) => Math.round(value + (b[i] - value) * t)
+                .toString(16).padStart(2, '0')).join('');
+        },
+
+        /**
+         * Get the polygons of a GeoJSON geometry as lists of rings
+         * @param {Object} geometry - Polygon or MultiPolygon geometry
+         * @returns {Array} Polygons
+         */
+        getPolygons(geometry) {
+            if (!geometry) return [];
+            if (geometry.type === 'Polygon') return [geometry.coordinates];
+            if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+            return [];
+        },
+
+        /**
+         * Check whether a point lies inside a ring of [lng, lat] positions (ray casting)
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Array} ring - Closed ring
+         * @returns {boolean} Inside
+         */
+        pointInRing(lat, lng, ring) {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        },
+
+        /**
+         * Check whether a point lies inside a GeoJSON (Multi)Polygon, holes excluded
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Object} geometry - GeoJSON geometry
+         * @returns {boolean} Inside
+         */
+        pointInGeometry(lat, lng, geometry) {
+            return Utils.getPolygons(geometry).some(([outer, ...holes]) =>
+                Utils.pointInRing(lat, lng, outer) && !holes.some(hole => Utils.pointInRing(lat, lng, hole))
+            );
+        },
+
+        /**
+         * Great-circle distance between two points (haversine formula)
+         * @param {number} lat1 - Latitude of the first point
+         * @param {number} lng1 - Longitude of the first point
+         * @param {number} lat2 - Latitude of the second point
+         * @param {number} lng2 - Longitude of the second point
+         * @returns {number} Distance in kilometers
+         */
+        distanceKm(lat1, lng1, lat2, lng2) {
+            const toRad = degrees => degrees * Math.PI / 180;
+            const dLat = toRad(lat2 - lat1);
+            const dLng = toRad(lng2 - lng1);
+            const a = Math.sin(dLat / 2) ** 2 +
+                Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+            return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        },
+
+        /**
+         * Approximate distance from a point to the nearest border of a (Multi)Polygon
+         * (equirectangular projection, precise enough for a few kilometers)
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Object} geometry - GeoJSON geometry
+         * @returns {number} Distance in kilometers
+         */
+        distanceToGeometry(lat, lng, geometry) {
+            const kmPerLat = 110.57;
+            const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+            let min = Infinity;
+
+            Utils.getPolygons(geometry).flat().forEach(ring => {
+                for (let i = 1; i < ring.length; i++) {
+                    // Segment relative to the point, in km
+                    const ax = (ring[i - 1][0] - lng) * kmPerLng;
+                    const ay = (ring[i - 1][1] - lat) * kmPerLat;
+                    const bx = (ring[i][0] - lng) * kmPerLng;
+                    const by = (ring[i][1] - lat) * kmPerLat;
+                    const dx = bx - ax;
+                    const dy = by - ay;
+                    const lengthSq = dx * dx + dy * dy;
+                    const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+
+                    min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+                }
+            });
+
+            return min;
+        }
+    };
+
+    /**
+     * Minimal markdown renderer for the AI-generated organization profiles.
+     * Supports the subset used in the data: headings, bold text, (nested) lists,
+     * horizontal rules and paragraphs. All text is escaped before formatting is applied.
+     * Source markers are turned into UI elements: [V]/[V1] → verified indicator,
+     * [NEW] → "neu" tag, [R]/[R1]/[1] → reference superscript.
+     */
+    const MarkdownRenderer = {
+        /**
+         * Render markdown to safe HTML
+         * @param {string} markdown - Markdown source
+         * @param {Object} labels - Texts of the source markers: { verified, new }
+         * @returns {string} HTML string
+         */
+        render(markdown, labels = { verified: MESSAGES.de['markdown.verified'], new: MESSAGES.de['markdown.new'] }) {
+            if (!markdown) return '';
+            const renderInline = text => MarkdownRenderer.renderInline(text, labels);
+
+            const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+            const listStack = [];
+            let paragraph = [];
+            let html = '';
+
+            const flushParagraph = () => {
+                if (paragraph.length > 0) {
+                    html += `<p>${renderInline(paragraph.join(' '))}</p>`;
+                    paragraph = [];
+                }
+            };
+
+            // Close all open lists indented deeper than the given indentation
+            const closeLists = (indent = -1) => {
+                while (listStack.length > 0 && listStack[listStack.length - 1].indent > indent) {
+                    html += `</li></${listStack.pop().tag}>`;
+                }
+            };
+
+            lines.forEach(line => {
+                const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+                const listItem = line.match(/^(\s*)([-*+]|\d+\.)\s+(.*)$/);
+
+                if (!line.trim()) {
+                    flushParagraph();
+                } else if (heading) {
+                    flushParagraph();
+                    closeLists();
+                    // Cards use h3 for the organization name
+                    const level = Math.min(6, heading[1].length + 1);
+                    html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+                } else if (/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+                    flushParagraph();
+                    closeLists();
+                    html += '<hr>';
+                } else if (listItem) {
+                    flushParagraph();
+
+                    const indent = listItem[1].length;
+                    const tag = /^\d/.test(listItem[2]) ? 'ol' : 'ul';
+                    const content = renderInline(listItem[3]);
+
+                    closeLists(indent);
+                    const current = listStack[listStack.length - 1];
+
+                    if (current && current.indent === indent && current.tag === tag) {
+                        html += `</li><li>${content}`;
+                    } else {
+                        // Same level but other list type: close the old list first
+                        if (current && current.indent === indent) {
+                            html += `</li></${listStack.pop().tag}>`;
+                        }
+                        html += `<${tag}><li>${content}`;
+                        listStack.push({ indent, tag });
+                    }
+                } else if (listStack.length > 0 && /^\s/.test(line)) {
+                    // Indented continuation of the current list item
+                    html += ` ${renderInline(line.trim())}`;
+                } else {
+                    closeLists();
+                    paragraph.push(line.trim());
+                }
+            });
+
+            flushParagraph();
+            closeLists();
+
+            return html;
+        },
+
+        /**
+         * Render inline formatting and source markers
+         * @param {string} text - Single line of markdown
+         * @param {Object} labels - Texts of the source markers: { verified, new }
+         * @returns {string} HTML string
+         */
+        renderInline(text, labels) {
+            return Utils.escapeHtml(text)
+                .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+                .replace(/\[V\d*\]/g, `<span class="agtech-verified" title="${Utils.escapeHtml(labels.verified)}">✓</span>`)
+                .replace(/\[NEW\]/g, `<span class="agtech-md-new">${Utils.escapeHtml(labels.new)}</span>`)
+                .replace(/\[(R?\d+|R)\]/g, '<sup class="agtech-md-ref">$1</sup>');
+        },
+
+        /**
+         * Count verified statements in a profile
+         * @param {string} markdown - Markdown source
+         * @returns {number} Number of [V] markers
+         */
+        countVerified(markdown) {
+            return markdown ? (markdown.match(/\[V\d*\]/g) || []).length : 0;
+        }
+    };
+
+    /**
+     * Fields of the internal organization model (column names of the original CSV).
+     * AiSummaryEn and AiDescriptionEn are optional English versions (see AgTechMapApp.getText).
+     */
+    const ORGANIZATION_FIELDS = [
+        'IdNr', 'Source', 'SourceUrl', 'OrganizationType', 'OrganizationName', 'Headquarter',
+        'Bundesland', 'Latitude', 'Longitude', 'FoundingYear', 'WebsiteUrl', 'SourceDescription',
+        'AiDescription', 'AiSummary', 'FinalCategories', 'AiUseScore', 'AiMention',
+        'AiSummaryEn', 'AiDescriptionEn'
+    ];
+
+    /**
+     * Common source field names (lowercase) mapped to the internal model
+     */
+    const FIELD_ALIASES = {
+        id: 'IdNr',
+        name: 'OrganizationName',
+        organization: 'OrganizationName',
+        type: 'OrganizationType',
+        category: 'FinalCategories',
+        categories: 'FinalCategories',
+        headquater: 'Headquarter',
+        headquarters: 'Headquarter',
+        city: 'Headquarter',
+        ort: 'Headquarter',
+        state: 'Bundesland',
+        lat: 'Latitude',
+        lng: 'Longitude',
+        lon: 'Longitude',
+        long: 'Longitude',
+        founded: 'FoundingYear',
+        website: 'WebsiteUrl',
+        url: 'WebsiteUrl',
+        description: 'SourceDescription',
+        aisummary_en: 'AiSummaryEn',
+        aidescription_en: 'AiDescriptionEn'
+    };
+
+    /**
+     * Pluggable data loaders. A loader turns the raw text of a data source into records
+     * and reports problems per row instead of dropping them silently:
+     *
+     *     {
+     *         extensions: ['csv'],           // file extensions for format detection
+     *         detect(text) { ... },          // optional content sniffing
+     *         parse(text, dataConfig) { return { records: [...], problems: [{ row, id, field, code, message }] }; }
+     *     }
+     *
+     * Instead of a fixed `message`, problems and thrown errors may carry a key of MESSAGES
+     * (`messageKey`, `params`); the app translates them when they are shown (see DataLoaders.error).
+     *
+     * Records may use any field names; DataLoaders.mapFields() maps them to the internal model.
+     * Register additional formats with AgTechMapApp.registerLoader(name, loader).
+     */
+    const DataLoaders = {
+        loaders: new Map(),
+
+        /**
+         * Register a loader
+         * @param {string} name - Format name used in CONFIG.data.format
+         * @param {Object} loader - Loader implementation
+         */
+        register(name, loader) {
+            this.loaders.set(name, loader);
+        },
+
+        /**
+         * Get a registered loader
+         * @param {string} name - Format name
+         * @returns {Object} Loader
+         */
+        get(name) {
+            const loader = this.loaders.get(name);
+            if (!loader) {
+                throw this.error('loader.unknownFormat', { format: name });
+            }
+            return loader;
+        },
+
+        /**
+         * Create an error described by a message of MESSAGES
+         * @param {string} messageKey - Message key, e.g. "loader.jsonNoList"
+         * @param {Object} params - Values for the message
+         * @returns {Error} Error with `messageKey` and `params`
+         */
+        error(messageKey, params = {}) {
+            return Object.assign(new Error(messageKey), { messageKey, params });
+        },
+
+        /**
+         * Determine the format: explicit setting, file extension, content sniffing, then CSV
+         * @param {string} format - Configured format or 'auto'
+         * @param {string} url - Data source URL
+         * @param {string} text - Raw content
+         * @returns {string} Format name
+         */
+        resolve(format, url, text) {
+            if (format && format !== 'auto') return format;
+
+            const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+            const entries = [...this.loaders.entries()];
+
+            const byExtension = entries.find(([, loader]) => loader.extensions?.includes(extension));
+            if (byExtension) return byExtension[0];
+
+            const byContent = entries.find(([, loader]) => loader.detect?.(text));
+            return byContent ? byContent[0] : 'csv';
+        },
+
+        /**
+         * Map a record to the internal organization model.
+         * Internal field names are kept, other names are resolved through the
+         * configured field map and FIELD_ALIASES (case-insensitive). Values become strings.
+         * @param {Object} record - Source record
+         * @param {Object} fieldMap - Source field name → internal field name
+         * @returns {Object} Record with internal field names
+         */
+        mapFields(record, fieldMap = {}) {
+            const org = {};
+
+            Object.entries(record).forEach(([key, value]) => {
+                const field = this.resolveField(key, fieldMap);
+                if (!field || (org[field] !== undefined && org[field] !== '')) return;
+
+                if (value === null || value === undefined) {
+                    org[field] = '';
+                } else if (Array.isArray(value)) {
+                    org[field] = value.join(', ');
+                } else {
+                    org[field] = String(value);
+                }
+            });
+
+            return org;
+        },
+
+        /**
+         * Resolve a source field name to an internal field name
+         * @param {string} key - Source field name
+         * @param {Object} fieldMap - Source field name → internal field name
+         * @returns {string|undefined} Internal field name, undefined if the field is ignored
+         */
+        resolveField(key, fieldMap = {}) {
+            return fieldMap[key] ||
+                (ORGANIZATION_FIELDS.includes(key) ? key : FIELD_ALIASES[key.toLowerCase()]) ||
+                ORGANIZATION_FIELDS.find(name => name.toLowerCase() === key.toLowerCase());
+        },
+
+        /**
+         * Describe how the source columns were mapped (for the validation report)
+         * @param {Array} records - Source records
+         * @param {Object} fieldMap - Source field name → internal field name
+         * @returns {{renamed: Array<Array<string>>, ignored: Array<string>}} Renamed and ignored columns
+         */
+        describeColumns(records, fieldMap = {}) {
+            const keys = new Set(records.flatMap(record => Object.keys(record)));
+            const renamed = [];
+            const ignored = [];
+
+            keys.forEach(key => {
+                const field = this.resolveField(key, fieldMap);
+                if (!field) {
+                    ignored.push(key);
+                } else if (field !== key) {
+                    renamed.push([key, field]);
+                }
+            });
+
+            return { renamed, ignored };
         }
     };
 
+    DataLoaders.register('csv', {
+        extensions: ['csv', 'txt'],
+
+        parse(text, dataConfig) {
+            const delimiter = dataConfig.delimiter === 'auto' ?
+                this.detectDelimiter(text) :
+                dataConfig.delimiter;
+
+            // Metadata lines at the top of our exports are quoted ("# …") so spreadsheets keep them in one cell
+            const content = text.replace(/^\uFEFF/, '').replace(/^(?:"#.*(?:\r?\n|$))+/, '');
+
+            const results = Papa.parse(content, {
+                header: true,
+                delimiter,
+                skipEmptyLines: true,
+                // Unquoted metadata lines of earlier exports
+                comments: '#'
+            });
+
+            const problems = results.errors.map(error => ({
+                row: (error.row ?? -1) + 1,
+                id: results.data[error.row] ?
+                    DataLoaders.mapFields(results.data[error.row], dataConfig.fieldMap).IdNr || '' :
+                    '',
+                field: '',
+                code: 'parse',
+                messageKey: 'loader.csvError',
+                params: { message: error.message }
+            }));
+
+            return { records: results.data, problems };
+        },
+
+        /**
+         * Pick the delimiter that occurs most often in the header line
+         * @param {string} text - CSV content
+         * @returns {string} Delimiter
+         */
+        detectDelimiter(text) {
+            const header = text.split('\n').find(line => !/^\uFEFF?"?#/.test(line)) || '';
+            const count = char => header.split(char).length - 1;
+
+            return [';', ',', '\t'].reduce((best, char) => count(char) > count(best) ? char : best);
+        }
+    });
+
+    DataLoaders.register('json', {
+        extensions: ['json'],
+
+        detect(text) {
+            return /^\s*[[{]/.test(text);
+        },
+
+        parse(text, dataConfig) {
+            const json = JSON.parse(text);
+
+            // GeoJSON served with a plain .json extension
+            if (json?.type === 'FeatureCollection') {
+                return DataLoaders.get('geojson').parse(text, dataConfig);
+            }
+
+            // Plain array or wrapped in { organizations: [...] } / { data: [...] }
+            const list = Array.isArray(json) ? json : (json.organizations || json.data);
+
+            if (!Array.isArray(list)) {
+                throw DataLoaders.error('loader.jsonNoList');
+            }
+
+            const problems = [];
+            const records = list.map((item, index) => {
+                if (item && typeof item === 'object' && !Array.isArray(item)) return item;
+
+                problems.push({ row: index + 1, id: '', field: '', code: 'parse', messageKey: 'loader.jsonNoObject' });
+                return {};
+            });
+
+            return { records, problems };
+        }
+    });
+
+    DataLoaders.register('geojson', {
+        extensions: ['geojson'],
+
+        detect(text) {
+            return /^\s*\{[\s\S]*"type"\s*:\s*"FeatureCollection"/.test(text.slice(0, 500));
+        },
+
+        parse(text) {
+            const json = JSON.parse(text);
+            if (json.type !== 'FeatureCollection' || !Array.isArray(json.features)) {
+                throw DataLoaders.error('loader.geojsonNoCollection');
+            }
+
+            const problems = [];
+            const records = json.features.map((feature, index) => {
+                const properties = feature?.properties || {};
+                const geometry = feature?.geometry;
+
+                // GeoJSON positions are [longitude, latitude]; the geometry wins over coordinate properties
+                if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+                    const [Longitude, Latitude] = geometry.coordinates;
+                    return Object.assign({ Latitude, Longitude }, properties, { Latitude, Longitude });
+                }
+
+                problems.push({
+                    row: index + 1,
+                    id: String(properties.IdNr ?? properties.id ?? ''),
+                    field: 'geometry',
+                    code: 'parse',
+                    messageKey: 'loader.geojsonGeometry',
+                    params: { geometry: geometry?.type }
+                });
+                return { ...properties };
+            });
+
+            return { records, problems };
+        }
+    });
+
     // Utility-Funktion für Mobile-Detection
     window.AgTechUtils = {
         ...window.AgTechUtils,
@@ -1855,28 +8134,19 @@
             return;
         }
 
-        // Initialize the application
-        try {
-            window.agTechApp = new AgTechMapApp();
-            console.log('AgTech Map Application initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize AgTech Map Application:', error);
-        }
-    }
-
-    /**
-     * Auto-collapse filters on mobile when page loads
-     */
-    function handleInitialMobileState() {
-        if (Utils.getBreakpoint() === 'mobile') {
-            const filterContent = document.getElementById('agtech-filter-content');
-            const filterToggle = document.getElementById('agtech-filter-toggle');
-
-            if (filterContent && filterToggle) {
-                filterContent.classList.add('collapsed');
-                filterToggle.textContent = 'Filter anzeigen';
+        // Initialize an application for every declarative container
+        document.querySelectorAll('[data-agtech-map]').forEach(container => {
+            try {
+                const app = new AgTechMapApp({
+                    container,
+                    csvUrl: container.dataset.csvUrl,
+                    offline: { serviceWorkerUrl: container.dataset.serviceWorker || null }
+                });
+                window.agTechApp = window.agTechApp || app;
+            } catch (error) {
+                console.error('Failed to initialize AgTech Map Application:', error);
             }
-        }
+        });
     }
 
     /**
@@ -1901,18 +8171,24 @@
      */
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
-            handleInitialMobileState();
             setupPerformanceMonitoring();
             initializeApp();
         });
     } else {
         // DOM already loaded
-        handleInitialMobileState();
         setupPerformanceMonitoring();
         initializeApp();
     }
 
-    // Export utilities for external use if needed
+    /**
+     * Register an additional data format (see DataLoaders)
+     * @param {string} name - Format name for CONFIG.data.format
+     * @param {Object} loader - Loader with parse(text, dataConfig) and optional extensions/detect
+     */
+    AgTechMapApp.registerLoader = (name, loader) => DataLoaders.register(name, loader);
+
+    // Export the widget constructor and utilities for external use
+    window.AgTechMapApp = AgTechMapApp;
     window.AgTechUtils = Utils;
 
 })(); // End of IIFE
@@ -0,0 +1,192 @@
+/**
+ * AgTech Ecosystem Map - Service Worker
+ * Keeps the map usable without internet (field days, trade fairs):
+ * - App shell and libraries: cached on install, served from the cache when offline
+ * - Data (CSV, GeoJSON): network first, the last loaded version as offline fallback
+ * - Map tiles: every visited tile is cached (cache first, limited to MAX_TILES)
+ *
+ * Registered by script.js (CONFIG.offline.serviceWorkerUrl), which passes the data and GeoJSON
+ * URLs of the app as `?data=…`. Other requests of the page are left to the browser.
+ * Bump CACHE_VERSION when the app shell changes incompatibly.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `agtech-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `agtech-tiles-${CACHE_VERSION}`;
+
+// Oldest tiles are removed beyond this count (about 15-25 KB per tile)
+const MAX_TILES = 3000;
+
+// Wait this long for the network before using the cached copy (Wi-Fi without internet
+// lets requests hang instead of failing)
+const NETWORK_TIMEOUT = 4000;
+
+/**
+ * Files needed to start the app without network
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'agtech-ecosystem-data.csv',
+    'bundeslaender.geojson'
+];
+
+/**
+ * Data files of the app (CSV, GeoJSON), passed by script.js when registering
+ */
+const DATA_FILES = new URL(self.location.href).searchParams.getAll('data');
+
+/**
+ * Same-origin files served network first, without query string (e.g. ?validate=1)
+ */
+const NETWORK_FIRST_PATHS = new Set([...SHELL_FILES, ...DATA_FILES]
+    .map(file => new URL(file, self.location.href))
+    .filter(url => url.origin === self.location.origin)
+    .map(url => url.pathname));
+
+/**
+ * Libraries loaded from cdnjs by index.html (versioned URLs, never change)
+ */
+const LIBRARY_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/MarkerCluster.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/MarkerCluster.Default.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/leaflet.markercluster.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js'
+];
+
+// Tile URLs end in /{z}/{x}/{y}.png (also @2x, jpg, webp or without extension like
+// the satellite tiles), both remote and local tile folders
+const TILE_PATTERN = /\/\d+\/\d+\/\d+(@2x)?(\.(png|jpe?g|webp))?$/i;
+
+let tilesSinceTrim = 0;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all([
+            cache.addAll(SHELL_FILES),
+            // Script and link tags load the libraries without CORS, so cache them the same way
+            ...LIBRARY_FILES.map(url =>
+                fetch(new Request(url, { mode: 'no-cors' })).then(response => cache.put(url, response)))
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('agtech-') && ![SHELL_CACHE, TILE_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (TILE_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(event, TILE_CACHE, { isTile: true }));
+    } else if (LIBRARY_FILES.includes(request.url)) {
+        event.respondWith(cacheFirst(event, SHELL_CACHE));
+    } else if (url.origin === self.location.origin && NETWORK_FIRST_PATHS.has(url.pathname)) {
+        event.respondWith(networkFirst(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Serve from the cache, otherwise load and cache the response
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @param {Object} options - Options
+ * @param {boolean} options.isTile - Trim the cache to MAX_TILES
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(event, cacheName, { isTile = false } = {}) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        store(event, cache, request, response);
+        if (isTile && ++tilesSinceTrim >= 100) {
+            tilesSinceTrim = 0;
+            event.waitUntil(trimCache(cache, MAX_TILES));
+        }
+    }
+    return response;
+}
+
+/**
+ * Load from the network and update the cache; fall back to the cache when offline
+ * or when the network does not answer within NETWORK_TIMEOUT
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            store(event, cache, request, response);
+        }
+        return response;
+    });
+    // A late failure after the cached copy was served is of no interest
+    network.catch(() => {});
+
+    try {
+        return await Promise.race([network, timeout(NETWORK_TIMEOUT)]);
+    } catch (error) {
+        // Query strings (e.g. ?validate=1) do not change the cached files
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('index.html') : null);
+        // Nothing cached yet: keep waiting for the network
+        return cached || network;
+    }
+}
+
+/**
+ * Cache a response in the background; a failing write (e.g. storage quota) never fails the request
+ * @param {FetchEvent} event - Fetch event
+ * @param {Cache} cache - Cache to write to
+ * @param {Request} request - Request
+ * @param {Response} response - Response, cloned for the cache
+ */
+function store(event, cache, request, response) {
+    event.waitUntil(cache.put(request, response.clone())
+        .catch(error => console.warn(`Could not cache ${request.url}:`, error)));
+}
+
+/**
+ * Reject after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<never>} Rejected promise
+ */
+function timeout(ms) {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+    });
+}
+
+/**
+ * Remove the oldest entries of a cache (keys are returned in insertion order)
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}